@@ -1,5 +1,9 @@
 import React, { useState } from 'react';
-import WindowComponent from 'react-flexi-window';
+import WindowComponent, { FlexiThemeProvider } from 'react-flexi-window';
+
+const variants = {
+  card: { windowBorderRadius: 'lg', windowBorder: 1, windowShadow: 'lg', windowBackgroundBlur: 'md' }
+};
 
 function AdvancedExample() {
   const [windows, setWindows] = useState([
@@ -74,57 +78,55 @@ function AdvancedExample() {
       </div>
 
       {/* Dynamic Windows */}
-      {windows.map((window, index) => (
-        <WindowComponent
-          key={window.id}
-          w={window.w}
-          h={window.h}
-          x={window.x}
-          y={window.y}
-          minW={200}
-          minH={150}
-          boundary={true}
-          windowColor={window.color}
-          windowBorderColor={window.color.replace('/20', '/50').replace('/25', '/60')}
-          windowBorderRadius="lg"
-          windowBorder={1}
-          windowShadow="lg"
-          windowBackgroundBlur="md"
-          zIndex={index + 1}
-        >
-          <div style={{ padding: '15px', height: '100%' }}>
-            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '10px' }}>
-              <h3 style={{ margin: '0', fontSize: '16px' }}>{window.title}</h3>
-              <button 
-                onClick={() => removeWindow(window.id)}
-                style={{ 
-                  padding: '4px 8px',
-                  backgroundColor: '#ef4444',
-                  color: 'white',
-                  border: 'none',
-                  borderRadius: '4px',
-                  cursor: 'pointer',
-                  fontSize: '12px'
-                }}
-              >
-                ×
-              </button>
+      <FlexiThemeProvider mode="light" variants={variants} defaultVariant="card">
+        {windows.map((window, index) => (
+          <WindowComponent
+            key={window.id}
+            w={window.w}
+            h={window.h}
+            x={window.x}
+            y={window.y}
+            minW={200}
+            minH={150}
+            boundary={true}
+            windowColor={window.color}
+            windowBorderColor={window.color.replace('/20', '/50').replace('/25', '/60')}
+            zIndex={index + 1}
+          >
+            <div style={{ padding: '15px', height: '100%' }}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '10px' }}>
+                <h3 style={{ margin: '0', fontSize: '16px' }}>{window.title}</h3>
+                <button 
+                  onClick={() => removeWindow(window.id)}
+                  style={{ 
+                    padding: '4px 8px',
+                    backgroundColor: '#ef4444',
+                    color: 'white',
+                    border: 'none',
+                    borderRadius: '4px',
+                    cursor: 'pointer',
+                    fontSize: '12px'
+                  }}
+                >
+                  ×
+                </button>
+              </div>
+              <p style={{ margin: '0 0 5px 0', fontSize: '14px' }}>
+                Position: ({Math.round(window.x)}, {Math.round(window.y)})
+              </p>
+              <p style={{ margin: '0 0 5px 0', fontSize: '14px' }}>
+                Size: {window.w} × {window.h}
+              </p>
+              <p style={{ margin: '0 0 10px 0', fontSize: '14px', color: '#6b7280' }}>
+                Color: {window.color}
+              </p>
+              <p style={{ margin: '0', fontSize: '12px', color: '#9ca3af' }}>
+                Try dragging and resizing this window!
+              </p>
             </div>
-            <p style={{ margin: '0 0 5px 0', fontSize: '14px' }}>
-              Position: ({Math.round(window.x)}, {Math.round(window.y)})
-            </p>
-            <p style={{ margin: '0 0 5px 0', fontSize: '14px' }}>
-              Size: {window.w} × {window.h}
-            </p>
-            <p style={{ margin: '0 0 10px 0', fontSize: '14px', color: '#6b7280' }}>
-              Color: {window.color}
-            </p>
-            <p style={{ margin: '0', fontSize: '12px', color: '#9ca3af' }}>
-              Try dragging and resizing this window!
-            </p>
-          </div>
-        </WindowComponent>
-      ))}
+          </WindowComponent>
+        ))}
+      </FlexiThemeProvider>
 
       {/* Instructions */}
       {windows.length === 0 && (
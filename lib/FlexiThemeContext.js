@@ -0,0 +1,53 @@
+import { createContext, useContext } from 'react';
+
+/**
+ * Context shared between a FlexiThemeProvider and its windows.
+ * Holds `null` when a window is rendered outside of a provider.
+ * @type {React.Context<null|Object>}
+ */
+export const FlexiThemeContext = createContext(null);
+
+/**
+ * Accesses the nearest theme, e.g. to style content to match the windows.
+ *
+ * @example
+ * ```jsx
+ * const { mode, getVariantTokens } = useFlexiTheme();
+ * ```
+ *
+ * @returns {{
+ *   mode: 'light'|'dark',
+ *   requestedMode: 'light'|'dark'|'system',
+ *   variants: Object.<string, Object>,
+ *   defaultVariant: string|undefined,
+ *   getVariantTokens: (name?: string) => Object|null
+ * }} The theme API
+ * @throws {Error} When called outside of a FlexiThemeProvider
+ */
+export function useFlexiTheme() {
+    const theme = useContext(FlexiThemeContext);
+    if (!theme) throw new Error('useFlexiTheme must be used within a FlexiThemeProvider');
+    return theme;
+}
+
+/**
+ * Merges a window's props over the tokens of its theme variant.
+ * Props that are set win over tokens; class names are combined instead.
+ *
+ * @param {Object} props - Window props, including the optional `variant`
+ * @returns {Object} Props with the variant tokens filled in
+ */
+export function useThemedProps(props) {
+    const theme = useContext(FlexiThemeContext);
+    const tokens = theme ? theme.getVariantTokens(props.variant) : null;
+    if (!tokens) return props;
+
+    const merged = { ...tokens };
+    Object.keys(props).forEach(key => {
+        if (props[key] !== undefined) merged[key] = props[key];
+    });
+    ['className', 'titleBarClassName'].forEach(key => {
+        if (tokens[key] && props[key]) merged[key] = `${tokens[key]} ${props[key]}`;
+    });
+    return merged;
+}
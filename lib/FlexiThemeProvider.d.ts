@@ -0,0 +1,60 @@
+import { ReactNode } from 'react';
+
+/** Window props a theme variant can set */
+export interface ThemeTokens {
+  className?: string;
+  windowColor?: string;
+  windowTextColor?: string;
+  windowBorderColor?: string;
+  windowBorderRadius?: string;
+  windowBorder?: number;
+  windowShadow?: string;
+  windowBackgroundBlur?: string;
+  windowBackgroundSaturation?: string;
+  titleBarColor?: string;
+  titleBarClassName?: string;
+  handleColor?: string;
+  snapPreviewColor?: string;
+  snapPreviewBorderColor?: string;
+  snapGuideColor?: string;
+}
+
+/** Tokens applied in both modes, plus tokens applied only in light or dark mode */
+export interface ThemeVariant extends ThemeTokens {
+  light?: ThemeTokens;
+  dark?: ThemeTokens;
+}
+
+/** Color scheme of a provider; 'system' follows prefers-color-scheme */
+export type ThemeMode = 'light' | 'dark' | 'system';
+
+export interface FlexiThemeProviderProps {
+  /** Token set to use; inherited from a parent provider, otherwise 'system' */
+  mode?: ThemeMode;
+  /** Variants to add, or to extend the built-in ('glass', 'panel', 'alert') and inherited ones of the same name */
+  variants?: Record<string, ThemeVariant>;
+  /** Variant of windows that set none */
+  defaultVariant?: string;
+  /** Content containing the themed windows */
+  children?: ReactNode;
+}
+
+export interface FlexiTheme {
+  /** Color scheme whose tokens windows receive */
+  mode: 'light' | 'dark';
+  /** Mode requested by the provider or inherited from its parent */
+  requestedMode: ThemeMode;
+  /** Built-in, inherited and provided variants */
+  variants: Record<string, ThemeVariant>;
+  /** Variant of windows that set none */
+  defaultVariant: string | undefined;
+  /** Returns the tokens of a variant (the default one when omitted) in the current mode, or null when unknown */
+  getVariantTokens: (name?: string) => ThemeTokens | null;
+}
+
+declare const FlexiThemeProvider: React.FC<FlexiThemeProviderProps>;
+
+/** Accesses the nearest FlexiThemeProvider; throws when used outside of one */
+export declare function useFlexiTheme(): FlexiTheme;
+
+export default FlexiThemeProvider;
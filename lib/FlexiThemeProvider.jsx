@@ -0,0 +1,188 @@
+import { useState, useEffect, useCallback, useContext, useMemo } from 'react';
+import { FlexiThemeContext } from './FlexiThemeContext.js';
+
+/**
+ * Window props a theme variant may set
+ * @constant {string[]}
+ */
+const THEME_TOKENS = [
+    'className', 'windowColor', 'windowTextColor', 'windowBorderColor', 'windowBorderRadius', 'windowBorder', 'windowShadow',
+    'windowBackgroundBlur', 'windowBackgroundSaturation', 'titleBarColor', 'titleBarClassName', 'handleColor',
+    'snapPreviewColor', 'snapPreviewBorderColor', 'snapGuideColor',
+];
+
+/**
+ * Variants available in every provider. Tokens at the top level apply in both modes,
+ * tokens under `light` and `dark` only in that mode.
+ * @constant {Object.<string, Object>}
+ */
+const BUILT_IN_VARIANTS = {
+    glass: {
+        windowBorderRadius: 'xl',
+        windowBorder: 1,
+        windowShadow: 'xl/30',
+        windowBackgroundBlur: 'xl',
+        windowBackgroundSaturation: '150',
+        light: { windowColor: 'white/60', windowTextColor: 'slate-900', windowBorderColor: 'white/70', titleBarColor: 'white/40' },
+        dark: { windowColor: 'slate-900/60', windowTextColor: 'slate-100', windowBorderColor: 'white/10', titleBarColor: 'slate-950/40' },
+    },
+    panel: {
+        windowBorderRadius: 'lg',
+        windowBorder: 1,
+        windowShadow: 'lg/20',
+        light: { windowColor: 'white', windowTextColor: 'slate-900', windowBorderColor: 'slate-200', titleBarColor: 'slate-100' },
+        dark: { windowColor: 'slate-800', windowTextColor: 'slate-100', windowBorderColor: 'slate-700', titleBarColor: 'slate-900' },
+    },
+    alert: {
+        windowBorderRadius: 'lg',
+        windowBorder: 2,
+        windowShadow: '2xl/40',
+        light: { windowColor: 'red-50', windowTextColor: 'red-950', windowBorderColor: 'red-500', titleBarColor: 'red-200', handleColor: 'red-500' },
+        dark: { windowColor: 'red-950', windowTextColor: 'red-50', windowBorderColor: 'red-500', titleBarColor: 'red-900', handleColor: 'red-400' },
+    },
+};
+
+/**
+ * Media query matching a dark system color scheme
+ * @constant {string}
+ */
+const DARK_SCHEME_QUERY = '(prefers-color-scheme: dark)';
+
+/**
+ * Reads the color scheme preferred by the system
+ * @returns {'light'|'dark'} Preferred scheme, 'light' where media queries are unavailable
+ */
+const getSystemMode = () => (typeof window !== 'undefined' && window.matchMedia && window.matchMedia(DARK_SCHEME_QUERY).matches ? 'dark' : 'light');
+
+/**
+ * Merges variant definitions by name, combining the shared, light and dark tokens of variants defined in both
+ * @param {Object.<string, Object>} base - Inherited variants
+ * @param {Object.<string, Object>} [variants] - Variants to add or extend
+ * @returns {Object.<string, Object>} Merged variants
+ */
+const mergeVariants = (base, variants) => {
+    if (!variants) return base;
+    const merged = { ...base };
+    Object.entries(variants).forEach(([name, variant]) => {
+        const previous = base[name] || {};
+        merged[name] = {
+            ...previous,
+            ...variant,
+            light: { ...previous.light, ...variant.light },
+            dark: { ...previous.dark, ...variant.dark },
+        };
+    });
+    return merged;
+};
+
+/**
+ * Picks the tokens of a variant that apply in a mode
+ * @param {Object} variant - Variant definition
+ * @param {'light'|'dark'} mode - Resolved color scheme
+ * @returns {Object} Window props set by the variant
+ */
+const getModeTokens = (variant, mode) => {
+    const tokens = {};
+    const source = { ...variant, ...variant[mode] };
+    THEME_TOKENS.forEach(token => {
+        if (source[token] !== undefined) tokens[token] = source[token];
+    });
+    return tokens;
+};
+
+/**
+ * Provides named styling variants to every WindowComponent rendered inside it.
+ * Windows pick a variant with their `variant` prop, and any styling prop they set wins over the variant's tokens.
+ * Nested providers inherit and extend the variants and mode of their parent.
+ *
+ * @component
+ * @example
+ * ```jsx
+ * <FlexiThemeProvider mode="system" defaultVariant="panel" variants={{ brand: { windowColor: 'indigo-500/20' } }}>
+ *   <WindowComponent variant="glass">...</WindowComponent>
+ *   <WindowComponent variant="alert" windowBorder={4}>...</WindowComponent>
+ * </FlexiThemeProvider>
+ * ```
+ *
+ * @param {Object} props - Component props
+ * @param {'light'|'dark'|'system'} [props.mode] - Token set to use; 'system' follows `prefers-color-scheme` (default unless inherited)
+ * @param {Object.<string, Object>} [props.variants] - Variants to add, or to extend built-in and inherited ones of the same name
+ * @param {string} [props.defaultVariant] - Variant of windows that set none
+ * @param {React.ReactNode} props.children - Content containing the themed windows
+ * @returns {JSX.Element} The context provider
+ */
+function FlexiThemeProvider({ mode, variants, defaultVariant, children }) {
+    const parentTheme = useContext(FlexiThemeContext);
+
+    /**
+     * Color scheme preferred by the system, kept in sync while `mode` is 'system'
+     * @type {['light'|'dark', Function]}
+     */
+    const [systemMode, setSystemMode] = useState(getSystemMode);
+
+    /**
+     * Mode requested by this provider, falling back to the parent's
+     * @constant {'light'|'dark'|'system'}
+     */
+    const requestedMode = mode || (parentTheme ? parentTheme.requestedMode : 'system');
+
+    useEffect(() => {
+        if (requestedMode !== 'system' || typeof window === 'undefined' || !window.matchMedia) return undefined;
+        const query = window.matchMedia(DARK_SCHEME_QUERY);
+        const handleChange = () => setSystemMode(query.matches ? 'dark' : 'light');
+        handleChange();
+        query.addEventListener('change', handleChange);
+        return () => query.removeEventListener('change', handleChange);
+    }, [requestedMode]);
+
+    /**
+     * Color scheme whose tokens windows receive
+     * @constant {'light'|'dark'}
+     */
+    const resolvedMode = requestedMode === 'system' ? systemMode : requestedMode;
+
+    /**
+     * Built-in and inherited variants extended with the ones from props
+     * @constant {Object.<string, Object>}
+     */
+    const allVariants = useMemo(
+        () => mergeVariants(parentTheme ? parentTheme.variants : BUILT_IN_VARIANTS, variants),
+        [parentTheme, variants]
+    );
+
+    /**
+     * Variant of windows that set none
+     * @constant {string|undefined}
+     */
+    const resolvedDefaultVariant = defaultVariant ?? (parentTheme ? parentTheme.defaultVariant : undefined);
+
+    /**
+     * Returns the tokens of a variant in the current mode
+     * @param {string} [name] - Variant name, the default variant when omitted
+     * @returns {Object|null} Window props set by the variant, or null for unknown variants
+     */
+    const getVariantTokens = useCallback((name) => {
+        const variant = allVariants[name ?? resolvedDefaultVariant];
+        return variant ? getModeTokens(variant, resolvedMode) : null;
+    }, [allVariants, resolvedDefaultVariant, resolvedMode]);
+
+    /**
+     * Context value exposed to windows and useFlexiTheme consumers
+     * @constant {Object}
+     */
+    const value = useMemo(() => ({
+        mode: resolvedMode,
+        requestedMode,
+        variants: allVariants,
+        defaultVariant: resolvedDefaultVariant,
+        getVariantTokens,
+    }), [resolvedMode, requestedMode, allVariants, resolvedDefaultVariant, getVariantTokens]);
+
+    return (
+        <FlexiThemeContext.Provider value={value}>
+            {children}
+        </FlexiThemeContext.Provider>
+    );
+}
+
+export default FlexiThemeProvider;
@@ -0,0 +1,137 @@
+import { forwardRef, memo } from 'react';
+
+/**
+ * Inline SVG glyphs for the title bar buttons
+ * @constant {Object.<string, JSX.Element>}
+ */
+const buttonIcons = {
+    minimize: <path d="M2 6h8" />,
+    maximize: <rect x="2" y="2" width="8" height="8" />,
+    restore: <path d="M2 4h6v6H2zM4 4V2h6v6H8" />,
+    close: <path d="M2.5 2.5l7 7M9.5 2.5l-7 7" />,
+};
+
+/**
+ * Base style shared by the minimize, maximize and close buttons
+ * @constant {Object}
+ */
+const buttonStyle = {
+    display: 'inline-flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    width: '28px',
+    height: '24px',
+    padding: 0,
+    border: 'none',
+    borderRadius: '4px',
+    background: 'transparent',
+    color: 'inherit',
+    cursor: 'pointer',
+    flexShrink: 0,
+};
+
+/**
+ * Single title bar button rendering one of the built-in glyphs
+ * @component
+ * @param {Object} props - Component props
+ * @param {string} props.icon - Key into buttonIcons
+ * @param {string} props.label - Accessible label
+ * @param {Function} props.onClick - Click handler
+ * @param {string} [props.className] - Additional CSS classes
+ * @returns {JSX.Element} The rendered button
+ */
+const TitleBarButton = ({ icon, label, onClick, className = '' }) => (
+    <button
+        type="button"
+        className={`flexi-window-titlebar-button ${className}`}
+        style={buttonStyle}
+        onClick={onClick}
+        aria-label={label}
+        title={label}
+    >
+        <svg width="12" height="12" viewBox="0 0 12 12" fill="none" stroke="currentColor" strokeWidth="1.2" aria-hidden="true">
+            {buttonIcons[icon]}
+        </svg>
+    </button>
+);
+
+/**
+ * Built-in window chrome: title, icon slot and minimize / maximize / close buttons.
+ * Acts as the drag handle of the window; its buttons never start a drag.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} [props.title] - Title content
+ * @param {React.ReactNode} [props.icon] - Icon rendered before the title
+ * @param {string} [props.titleId] - Id of the title element, used for aria-labelledby
+ * @param {string} [props.className] - Additional CSS classes
+ * @param {string} [props.backgroundColor] - Resolved CSS background color
+ * @param {string} [props.borderRadius] - Resolved CSS border radius applied to the top corners
+ * @param {boolean} [props.isMinimized=false] - Whether the minimize button acts as a restore button
+ * @param {boolean} [props.isMaximized=false] - Whether the maximize button shows the restore glyph
+ * @param {Function} [props.onMinimize] - Minimize button handler; the button is hidden when omitted
+ * @param {Function} [props.onMaximize] - Maximize / restore button handler; the button is hidden when omitted; also called on double-click
+ * @param {Function} [props.onClose] - Close button handler; the button is hidden when omitted
+ * @param {Object} [props.dragHandlers] - Pointer handlers that start a window drag
+ * @param {string} [props.cursor='move'] - Cursor shown over the title bar, reflecting whether and along which axis the window can be dragged
+ * @param {Object} [props.keyboardProps] - Focus and key handlers that move and resize the window from the keyboard
+ * @param {React.Ref<HTMLDivElement>} ref - Ref to the title bar element
+ * @returns {JSX.Element} The rendered title bar
+ */
+const TitleBar = memo(forwardRef(({
+    title, icon, titleId, className = '', backgroundColor, borderRadius, isMinimized = false, isMaximized = false, onMinimize, onMaximize, onClose, dragHandlers, cursor = 'move', keyboardProps
+}, ref) => {
+    /**
+     * Title bar container styles
+     * @constant {Object}
+     */
+    const titleBarStyle = {
+        display: 'flex',
+        alignItems: 'center',
+        gap: '8px',
+        flexShrink: 0,
+        minHeight: '32px',
+        padding: '4px 4px 4px 12px',
+        backgroundColor,
+        borderTopLeftRadius: borderRadius,
+        borderTopRightRadius: borderRadius,
+        cursor,
+        userSelect: 'none',
+        touchAction: 'none',
+    };
+
+    /**
+     * Title text styles with ellipsis overflow
+     * @constant {Object}
+     */
+    const titleStyle = {
+        flexGrow: 1,
+        minWidth: 0,
+        overflow: 'hidden',
+        textOverflow: 'ellipsis',
+        whiteSpace: 'nowrap',
+        fontSize: '14px',
+        fontWeight: 600,
+    };
+
+    return (
+        <div
+            ref={ref}
+            className={`flexi-window-titlebar ${className}`}
+            style={titleBarStyle}
+            onDoubleClick={(e) => { if (onMaximize && !e.target.closest('button')) onMaximize(); }}
+            {...dragHandlers}
+            {...keyboardProps}
+        >
+            {icon && <span style={{ display: 'inline-flex', flexShrink: 0 }} aria-hidden="true">{icon}</span>}
+            <span id={titleId} style={titleStyle}>{title}</span>
+            {onMinimize && <TitleBarButton icon="minimize" label={isMinimized ? 'Restore window' : 'Minimize window'} onClick={onMinimize} />}
+            {onMaximize && <TitleBarButton icon={isMaximized ? 'restore' : 'maximize'} label={isMaximized ? 'Restore window' : 'Maximize window'} onClick={onMaximize} />}
+            {onClose && <TitleBarButton icon="close" label="Close window" onClick={onClose} className="flexi-window-titlebar-close" />}
+        </div>
+    );
+}));
+
+TitleBar.displayName = 'TitleBar';
+
+export default TitleBar;
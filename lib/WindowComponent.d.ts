@@ -1,24 +1,197 @@
-import { ReactNode } from 'react';
+import { ReactNode, RefObject, ForwardRefExoticComponent, RefAttributes } from 'react';
+import { PersistedWindowLayout, WindowStorageAdapter } from './storageAdapters';
+
+/** Pixels as a number, or a responsive length: '%' of the bounds, 'vw' or 'vh' (e.g. '25%', '10vw') */
+export type WindowLength = number | `${number}px` | `${number}%` | `${number}vw` | `${number}vh`;
+
+export interface WindowPosition {
+  x: WindowLength;
+  y: WindowLength;
+}
+
+export interface WindowSize {
+  w: WindowLength | 'auto' | 'full' | (string & {});
+  h: WindowLength | 'auto' | 'full' | (string & {});
+}
+
+/** Corner of the bounds that x and y are measured from */
+export type WindowAnchor = 'top-left' | 'top-right' | 'bottom-left' | 'bottom-right';
+
+export type WindowState = 'normal' | 'minimized' | 'maximized' | 'fullscreen';
+
+export type ResizeDirection = 'top' | 'bottom' | 'left' | 'right' | 'top-left' | 'top-right' | 'bottom-left' | 'bottom-right';
+
+export interface WindowInteractionEvent {
+  /** Window X position */
+  x: number;
+  /** Window Y position */
+  y: number;
+  /** Window width in pixels */
+  width: number;
+  /** Window height in pixels */
+  height: number;
+  /** X movement since the interaction started */
+  deltaX: number;
+  /** Y movement since the interaction started */
+  deltaY: number;
+  /** Width change since the interaction started, e.g. while resizing from the right edge */
+  deltaW: number;
+  /** Height change since the interaction started, e.g. while resizing from the bottom edge */
+  deltaH: number;
+  /** Resize direction, or null while dragging */
+  direction: ResizeDirection | null;
+  /** Type of the pointer driving the interaction */
+  pointerType: 'mouse' | 'pen' | 'touch' | null;
+  /** The underlying DOM event */
+  nativeEvent: Event | null;
+}
+
+export interface BoundsRect {
+  left?: number;
+  top?: number;
+  right?: number;
+  bottom?: number;
+}
+
+/** 'viewport', 'parent' (the offset parent), a CSS selector, an element or ref, or an explicit rect in the window's coordinate space */
+export type WindowBounds = 'viewport' | 'parent' | string | HTMLElement | RefObject<HTMLElement | null> | BoundsRect;
+
+export interface SnapZonesConfig {
+  /** Distance in pixels from an edge that activates a zone (default 16) */
+  threshold?: number;
+  /** Snap to the left half (default true) */
+  left?: boolean;
+  /** Snap to the right half (default true) */
+  right?: boolean;
+  /** Maximize at the top edge (default true) */
+  top?: boolean;
+  /** Snap to quarters at the corners (default true) */
+  corners?: boolean;
+}
+
+export interface PlacementRect {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+/** Measurements passed to a custom placement function, in the window's coordinate space */
+export interface PlacementContext {
+  /** Measured width of the window */
+  width: number;
+  /** Measured height of the window */
+  height: number;
+  /** Area the window is placed in: the bounds, or the viewport */
+  bounds: PlacementRect;
+  /** Other mounted windows sharing the window's containing block, oldest first */
+  windows: Array<PlacementRect & { id: string }>;
+  /** Where the pointer was last pressed, or null */
+  pointer: { x: number; y: number } | null;
+}
+
+/** Initial placement strategy, or a function returning the initial rect (null keeps x and y) */
+export type WindowPlacement =
+  | 'center'
+  | 'cascade'
+  | 'smart'
+  | 'near-pointer'
+  | ((context: PlacementContext) => { x: number; y: number; width?: number; height?: number } | null | undefined);
+
+/** Enter and exit animation of a window */
+export type WindowAnimation = 'none' | 'fade' | 'scale' | 'slide';
 
 export interface WindowComponentProps {
-  /** Initial width in pixels, or 'auto', or 'full' (100%) */
-  w?: number | 'auto' | 'full';
-  /** Initial height in pixels, or 'auto', or 'full' (100%) */
-  h?: number | 'auto' | 'full';
-  /** Initial X position */
-  x?: number;
-  /** Initial Y position */
-  y?: number;
+  /** Initial width in pixels, a responsive length, 'auto', or 'full' (100%); alias of defaultW */
+  w?: WindowSize['w'];
+  /** Initial height in pixels, a responsive length, 'auto', or 'full' (100%); alias of defaultH */
+  h?: WindowSize['h'];
+  /** Initial X offset from the anchor; alias of defaultX */
+  x?: WindowLength;
+  /** Initial Y offset from the anchor; alias of defaultY */
+  y?: WindowLength;
+  /** Initial width for uncontrolled use */
+  defaultW?: WindowSize['w'];
+  /** Initial height for uncontrolled use */
+  defaultH?: WindowSize['h'];
+  /** Initial X offset for uncontrolled use */
+  defaultX?: WindowLength;
+  /** Initial Y offset for uncontrolled use */
+  defaultY?: WindowLength;
+  /** Corner of the bounds that x and y are measured from (default 'top-left') */
+  anchor?: WindowAnchor;
+  /** Computes the initial position before the first paint instead of using x and y */
+  placement?: WindowPlacement;
+  /** Controlled position; the window only moves through onPositionChange */
+  position?: WindowPosition;
+  /** Controlled size; the window only resizes through onSizeChange */
+  size?: WindowSize;
+  /** Called with the new constrained position, in the units of the current position, whenever the window moves */
+  onPositionChange?: (position: WindowPosition) => void;
+  /** Called with the new constrained size, in the units of the current size, whenever the window resizes */
+  onSizeChange?: (size: WindowSize) => void;
+  /** CSS selector or ref of the element(s) that start a drag; the rest of the content stops dragging the window */
+  dragHandle?: string | RefObject<HTMLElement | null>;
+  /** CSS selector of elements that never start a drag */
+  dragCancel?: string;
+  /** Title rendered in the built-in title bar; setting it shows the title bar */
+  title?: ReactNode;
+  /** Forces the built-in title bar on or off (defaults to on when title is set) */
+  titleBar?: boolean;
+  /** Icon rendered before the title */
+  titleIcon?: ReactNode;
+  /** Title bar background color (same format as windowColor) */
+  titleBarColor?: string;
+  /** Additional CSS classes for the title bar */
+  titleBarClassName?: string;
+  /** Whether the title bar shows a minimize button */
+  minimizable?: boolean;
+  /** Whether the title bar shows a maximize button and double-clicking it toggles maximize */
+  maximizable?: boolean;
+  /** Called when the window becomes minimized */
+  onMinimize?: () => void;
+  /** Called when the window becomes maximized */
+  onMaximize?: () => void;
+  /** Shows a close button in the title bar and is called when it is clicked */
+  onClose?: () => void;
+  /** Controlled window state */
+  windowState?: WindowState;
+  /** Initial window state for uncontrolled use */
+  defaultWindowState?: WindowState;
+  /** Called whenever the window state changes */
+  onWindowStateChange?: (state: WindowState, previousState: WindowState) => void;
+  /** Saves position, size and window state under this key and restores them on mount */
+  persistKey?: string;
+  /** Built-in storage or a custom adapter (default 'local') */
+  persistStorage?: 'local' | 'session' | 'indexeddb' | WindowStorageAdapter;
+  /** Schema version written with the layout (default 1) */
+  persistVersion?: number;
+  /** Migrates a layout stored with another version; return null to discard it */
+  migrateLayout?: (layout: any, fromVersion: number) => PersistedWindowLayout | null;
+  /** Called when a drag begins; return false to cancel the drag */
+  onDragStart?: (event: WindowInteractionEvent) => boolean | void;
+  /** Called on every drag movement */
+  onDrag?: (event: WindowInteractionEvent) => void;
+  /** Called when a drag in which the pointer moved ends */
+  onDragStop?: (event: WindowInteractionEvent) => void;
+  /** Called when a resize begins; return false to cancel the resize */
+  onResizeStart?: (event: WindowInteractionEvent) => boolean | void;
+  /** Called on every resize movement */
+  onResize?: (event: WindowInteractionEvent) => void;
+  /** Called when a resize in which the pointer moved ends */
+  onResizeStop?: (event: WindowInteractionEvent) => void;
   /** If true, restricts dragging and position to within the viewport */
   boundary?: boolean;
+  /** Area the window is constrained to and maximizes into; setting it enables the constraint */
+  bounds?: WindowBounds;
   /** Minimum width in pixels */
   minW?: number;
   /** Minimum height in pixels */
   minH?: number;
-  /** Maximum width in pixels, or 'viewport' to constrain to the browser window size */
-  maxW?: number | 'viewport';
-  /** Maximum height in pixels, or 'viewport' to constrain to the browser window size */
-  maxH?: number | 'viewport';
+  /** Maximum width in pixels, 'viewport' for the browser window width or 'bounds' for the bounds width */
+  maxW?: number | 'viewport' | 'bounds';
+  /** Maximum height in pixels, 'viewport' for the browser window height or 'bounds' for the bounds height */
+  maxH?: number | 'viewport' | 'bounds';
   /** CSS overflow property */
   overflow?: string;
   /** CSS overflow-x property */
@@ -27,8 +200,10 @@ export interface WindowComponentProps {
   overflowY?: string;
   /** Additional CSS classes */
   className?: string;
-  /** Background color (format: 'colorname-intensity/opacity') */
+  /** Background color: a Tailwind palette name, a registered color or any CSS color, with optional '/opacity' (e.g. 'blue-500/90', '#1e293b/80', 'var(--surface)') */
   windowColor?: string;
+  /** Text color of the content and title bar, same format as windowColor */
+  windowTextColor?: string;
   /** Border color */
   windowBorderColor?: string;
   /** Border radius */
@@ -41,12 +216,114 @@ export interface WindowComponentProps {
   windowBackgroundBlur?: string;
   /** Backdrop saturation */
   windowBackgroundSaturation?: string;
-  /** Z-index value */
+  /** Z-index value (ignored inside a WindowManagerProvider) */
   zIndex?: number;
+  /** Snap grid [x, y] in pixels for dragging (and resizing when resizeGrid is not set); hold Alt to bypass */
+  grid?: number | [number, number];
+  /** Separate snap grid [width, height] in pixels for resizing */
+  resizeGrid?: number | [number, number];
+  /** Desktop-style edge snapping while dragging: halves, corner quarters and top-edge maximize */
+  snapZones?: boolean | SnapZonesConfig;
+  /** Background color of the snap preview overlay (same format as windowColor) */
+  snapPreviewColor?: string;
+  /** Border color of the snap preview overlay */
+  snapPreviewBorderColor?: string;
+  /** Windows sharing a snap group snap magnetically to each other's edges and centers */
+  snapGroup?: string;
+  /** Distance in pixels within which sibling edges attract (default 8) */
+  snapThreshold?: number;
+  /** Show alignment guide lines while an edge is locked to a sibling */
+  snapGuides?: boolean;
+  /** Color of the alignment guides (same format as windowColor) */
+  snapGuideColor?: string;
+  /** Keeps proportions while resizing: true keeps the starting ratio, a number forces width / height; Shift toggles the lock */
+  lockAspectRatio?: boolean | number;
+  /**
+   * Writes drag and resize moves straight to the DOM once per animation frame instead of re-rendering.
+   * `true` commits position and size to state on release; a number commits at most every N milliseconds.
+   */
+  deferRendering?: boolean | number;
+  /** Whether the window can be moved by pointer or keyboard (default true) */
+  draggable?: boolean;
+  /** Whether the window can be resized by pointer or keyboard (default true) */
+  resizable?: boolean;
+  /** Pins the window: disables both dragging and resizing (default false) */
+  locked?: boolean;
+  /** Axis along which the window can be dragged (default 'both') */
+  dragAxis?: 'x' | 'y' | 'both';
+  /** Dimension the window can be resized in; 'x' or 'y' keeps only the matching edge handles (default 'both') */
+  resizeAxis?: 'x' | 'y' | 'both';
+  /** Active resize handles: false for none, a list of directions or a direction map (default true, all of them) */
+  enableResizing?: boolean | ResizeDirection[] | Partial<Record<ResizeDirection, boolean>>;
+  /** Thickness in pixels of the edge handles; corner handles are twice as large, and at least 40px while the window is dragged or resized (default 8) */
+  handleSize?: number;
+  /** Renders custom content, such as a visible grip, inside the handle of a direction */
+  renderHandle?: (direction: ResizeDirection) => ReactNode;
+  /** Extra CSS classes per resize direction */
+  handleClassNames?: Partial<Record<ResizeDirection, string>>;
+  /** Draws built-in grips: true always, 'hover' while the window is hovered or focused (also fades renderHandle content) */
+  showHandles?: boolean | 'hover';
+  /** Color of the built-in grips (same format as windowColor, default 'blue-500') */
+  handleColor?: string;
+  /** Pixels moved or resized per arrow key press */
+  keyboardStep?: number;
+  /** Accessible name used when there is no title bar */
+  ariaLabel?: string;
+  /** Whether the window is shown; turning it off plays the exit animation before unmounting (default true) */
+  open?: boolean;
+  /** Called once the window has unmounted after open turned off */
+  onExited?: () => void;
+  /** Enter and exit animation, skipped when the user prefers reduced motion (default 'none') */
+  animation?: WindowAnimation;
+  /** Duration in milliseconds of enter, exit and layout animations (default 200) */
+  animationDuration?: number;
+  /** Element the window scales or slides out of and back into, e.g. the button that opened it */
+  animationOrigin?: string | HTMLElement | RefObject<HTMLElement | null>;
+  /** Animates ref handle moves and resizes, and minimize, maximize and restore (default false) */
+  animateLayout?: boolean;
+  /** Renders the window into document.body (true) or another container with position: fixed, so x and y are viewport coordinates */
+  portal?: boolean | string | HTMLElement | RefObject<HTMLElement | null>;
+  /** Variant of the nearest FlexiThemeProvider; its tokens fill the styling props left unset */
+  variant?: string;
+  /** Window identifier used by WindowManagerProvider; generated when omitted */
+  id?: string;
   /** Child components */
   children?: ReactNode;
 }
 
-declare const WindowComponent: React.FC<WindowComponentProps>;
+export interface WindowRect {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+  windowState: WindowState;
+}
+
+export interface WindowHandle {
+  /** The window's root DOM node */
+  readonly element: HTMLDivElement | null;
+  /** Moves the window to an absolute position */
+  moveTo: (x: number, y: number) => void;
+  /** Moves the window by an offset */
+  moveBy: (dx: number, dy: number) => void;
+  /** Resizes the window in pixels */
+  resizeTo: (width: number, height: number) => void;
+  /** Centers the window inside its bounds */
+  center: () => void;
+  /** Resizes the window to fit its content */
+  fitToContent: () => void;
+  /** Minimizes the window */
+  minimize: () => void;
+  /** Maximizes the window */
+  maximize: () => void;
+  /** Returns the window to the normal state */
+  restore: () => void;
+  /** Focuses the window and brings it to the front */
+  focus: () => void;
+  /** Returns the current rect and state of the window */
+  getRect: () => WindowRect;
+}
+
+declare const WindowComponent: ForwardRefExoticComponent<WindowComponentProps & RefAttributes<WindowHandle>>;
 
 export default WindowComponent;
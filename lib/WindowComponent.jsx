@@ -1,4 +1,13 @@
-import { useState, useRef, useEffect, useCallback, memo } from 'react';
+import { useState, useRef, useEffect, useLayoutEffect, useCallback, useMemo, useContext, useImperativeHandle, forwardRef, memo } from 'react';
+import { createPortal } from 'react-dom';
+import { WindowManagerContext } from './WindowManagerContext.js';
+import { WorkspaceContext } from './WorkspaceContext.js';
+import { useThemedProps } from './FlexiThemeContext.js';
+import useWindowId from './useWindowId.js';
+import { registerWindowElement, getWindowsInGroup, getMountedWindows, consumeLastPointerPosition, trackPointerPresses } from './windowRegistry.js';
+import { resolveStorageAdapter } from './storageAdapters.js';
+import { resolveColor } from './colors.js';
+import TitleBar from './TitleBar.jsx';
 
 /**
  * Global styles component for hiding scrollbars across different browsers
@@ -16,72 +25,495 @@ const GlobalStyles = memo(() => (
         -ms-overflow-style: none;  /* For Internet Explorer and Edge */
         scrollbar-width: none;  /* For Firefox */
       }
+      /* Keyboard focus indicators for the title bar and resize handles */
+      .flexi-window-titlebar:focus-visible,
+      .flexi-window-resize-handle:focus-visible {
+        outline: 2px solid rgb(59, 130, 246);
+        outline-offset: -2px;
+      }
+      /* Title bar button hover and focus states */
+      .flexi-window-titlebar-button:hover,
+      .flexi-window-titlebar-button:focus-visible {
+        background-color: rgba(127, 127, 127, 0.2) !important;
+      }
+      .flexi-window-titlebar-close:hover,
+      .flexi-window-titlebar-close:focus-visible {
+        background-color: rgba(220, 38, 38, 0.9) !important;
+        color: #fff !important;
+      }
+      /* Resize grips that only appear while the window is hovered or focused */
+      .flexi-window-handles-hover .flexi-window-resize-handle > * {
+        opacity: 0;
+        transition: opacity 150ms ease;
+      }
+      .flexi-window-handles-hover:hover .flexi-window-resize-handle > *,
+      .flexi-window-handles-hover:focus-within .flexi-window-resize-handle > * {
+        opacity: 1;
+      }
     `}
     </style>
 ));
 
 /**
- * A professional-grade, flexible window component for React applications.
- * Provides draggable and resizable functionality with comprehensive touch and mouse support.
- * 
+ * Unit movement per arrow key used for keyboard moving and resizing
+ * @constant {Object.<string, [number, number]>}
+ */
+const ARROW_KEY_DELTAS = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+
+/**
+ * Hides content visually while keeping it available to screen readers
+ * @constant {Object}
+ */
+const visuallyHiddenStyle = { position: 'absolute', width: '1px', height: '1px', padding: 0, margin: '-1px', overflow: 'hidden', clip: 'rect(0, 0, 0, 0)', whiteSpace: 'nowrap', border: 0 };
+
+/**
+ * Default edge snapping configuration used when `snapZones` is `true`
+ * @constant {{threshold: number, left: boolean, right: boolean, top: boolean, corners: boolean}}
+ */
+const DEFAULT_SNAP_ZONES = { threshold: 16, left: true, right: true, top: true, corners: true };
+
+/**
+ * Lists the lines a rect can align to on one axis: its start edge, center and end edge
+ * @param {{x: number, y: number, width: number, height: number}} rect - Rect to measure
+ * @param {'x'|'y'} axis - Axis of the lines
+ * @returns {number[]} Line coordinates
+ */
+const getRectLines = (rect, axis) => (axis === 'x'
+    ? [rect.x, rect.x + rect.width / 2, rect.x + rect.width]
+    : [rect.y, rect.y + rect.height / 2, rect.y + rect.height]);
+
+/**
+ * Finds the smallest offset that moves one of the edges onto one of the lines
+ * @param {number[]} edges - Edge coordinates of the moving rect
+ * @param {number[]} lines - Line coordinates of the sibling rects
+ * @param {number} threshold - Maximum distance in pixels that still snaps
+ * @returns {number} Offset to apply, or 0 when no line is within the threshold
+ */
+const findMagnetOffset = (edges, lines, threshold) => {
+    let best = null;
+    edges.forEach(edge => lines.forEach(line => {
+        const offset = line - edge;
+        if (Math.abs(offset) <= threshold && (best === null || Math.abs(offset) < Math.abs(best))) best = offset;
+    }));
+    return best || 0;
+};
+
+/**
+ * Computes the guide lines for every edge or center of a rect aligned with a sibling rect
+ * @param {{x: number, y: number, width: number, height: number}} rect - Window rect
+ * @param {Array<{x: number, y: number, width: number, height: number}>} others - Sibling rects
+ * @returns {Array<{axis: 'x'|'y', offset: number, start: number, end: number}>} Guides spanning the aligned rects
+ */
+const getAlignmentGuides = (rect, others) => {
+    const guides = [];
+    ['x', 'y'].forEach(axis => {
+        const cross = axis === 'x' ? 'y' : 'x';
+        const crossSize = axis === 'x' ? 'height' : 'width';
+        getRectLines(rect, axis).forEach(offset => {
+            const aligned = others.filter(other => getRectLines(other, axis).some(line => Math.abs(line - offset) < 0.5));
+            if (!aligned.length) return;
+            const rects = [rect, ...aligned];
+            guides.push({
+                axis,
+                offset,
+                start: Math.min(...rects.map(r => r[cross])),
+                end: Math.max(...rects.map(r => r[cross] + r[crossSize])),
+            });
+        });
+    });
+    return guides;
+};
+
+/**
+ * Every resize direction; edges come first so corner handles stack above them
+ * @constant {string[]}
+ */
+const RESIZE_DIRECTIONS = ['top', 'bottom', 'left', 'right', 'top-left', 'top-right', 'bottom-left', 'bottom-right'];
+
+/**
+ * Cursor shown over the resize handle of each direction
+ * @constant {Object.<string, string>}
+ */
+const RESIZE_CURSORS = { top: 'n-resize', bottom: 's-resize', left: 'w-resize', right: 'e-resize', 'top-left': 'nw-resize', 'top-right': 'ne-resize', 'bottom-left': 'sw-resize', 'bottom-right': 'se-resize' };
+
+/**
+ * Smallest size in pixels of the corner handles shown during an interaction, so they stay usable by touch
+ * @constant {number}
+ */
+const MIN_TOUCH_HANDLE_SIZE = 40;
+
+/**
+ * Cursor shown over drag areas for each `dragAxis`
+ * @constant {Object.<string, string>}
+ */
+const DRAG_CURSORS = { both: 'move', x: 'ew-resize', y: 'ns-resize' };
+
+/**
+ * Resolves the `enableResizing` prop to the list of active resize directions
+ * @param {boolean|string[]|Object.<string, boolean>} enableResizing - All or nothing, a list of directions or a direction map
+ * @returns {string[]} Enabled directions, in RESIZE_DIRECTIONS order
+ */
+const getEnabledResizeDirections = (enableResizing) => {
+    if (enableResizing === false) return [];
+    if (Array.isArray(enableResizing)) return RESIZE_DIRECTIONS.filter(direction => enableResizing.includes(direction));
+    if (enableResizing && typeof enableResizing === 'object') return RESIZE_DIRECTIONS.filter(direction => enableResizing[direction]);
+    return RESIZE_DIRECTIONS;
+};
+
+/**
+ * Whether a resize direction only changes dimensions allowed by `resizeAxis`; corners need both axes
+ * @param {string} direction - Resize direction
+ * @param {'x'|'y'|'both'} axis - Allowed resize axis
+ * @returns {boolean} True when the direction is allowed
+ */
+const isResizeDirectionOnAxis = (direction, axis) => {
+    if (axis === 'x') return direction === 'left' || direction === 'right';
+    if (axis === 'y') return direction === 'top' || direction === 'bottom';
+    return true;
+};
+
+/**
+ * Builds the hit area of a resize handle: edges are `size` thick and centered on the border, corners are twice as large
+ * @param {string} direction - Resize direction
+ * @param {number} size - Edge thickness in pixels
+ * @returns {Object} Inline style of the handle
+ */
+const getResizeHandleStyle = (direction, size) => {
+    const isCorner = direction.includes('-');
+    const thickness = isCorner ? size * 2 : size;
+    const style = { position: 'absolute', cursor: RESIZE_CURSORS[direction], zIndex: isCorner ? 11 : 10 };
+    if (direction === 'top' || direction === 'bottom') return { ...style, height: `${thickness}px`, width: '100%', left: '0', [direction]: `${-thickness / 2}px` };
+    if (direction === 'left' || direction === 'right') return { ...style, width: `${thickness}px`, height: '100%', top: '0', [direction]: `${-thickness / 2}px` };
+    const [vertical, horizontal] = direction.split('-');
+    return { ...style, width: `${thickness}px`, height: `${thickness}px`, [vertical]: `${-thickness / 2}px`, [horizontal]: `${-thickness / 2}px` };
+};
+
+/**
+ * Builds the built-in visible grip drawn inside a resize handle: a bar along edges and a square at corners
+ * @param {string} direction - Resize direction
+ * @param {string} color - CSS color of the grip
+ * @returns {Object} Inline style of the grip
+ */
+const getResizeGripStyle = (direction, color) => {
+    const isCorner = direction.includes('-');
+    const isHorizontal = direction === 'top' || direction === 'bottom';
+    return {
+        position: 'absolute',
+        top: '50%',
+        left: '50%',
+        width: isCorner ? '8px' : (isHorizontal ? '24px' : '4px'),
+        height: isCorner ? '8px' : (isHorizontal ? '4px' : '24px'),
+        transform: 'translate(-50%, -50%)',
+        borderRadius: '2px',
+        backgroundColor: color,
+        pointerEvents: 'none',
+    };
+};
+
+/**
+ * Prefix of the storage keys used by `persistKey`
+ * @constant {string}
+ */
+const PERSIST_KEY_PREFIX = 'react-flexi-window:';
+
+/**
+ * Window states that can be restored from a persisted layout; fullscreen needs a user gesture and is stored as the state beneath it
+ * @constant {string[]}
+ */
+const RESTORABLE_WINDOW_STATES = ['normal', 'minimized', 'maximized'];
+
+/**
+ * Normalizes a grid prop to an `[x, y]` pair
+ * @param {number|number[]|undefined} grid - Single step for both axes or `[x, y]` steps
+ * @returns {number[]|null} Grid steps, or null when snapping is disabled
+ */
+const normalizeGrid = (grid) => {
+    if (!grid) return null;
+    const [gx, gy = gx] = Array.isArray(grid) ? grid : [grid, grid];
+    return gx > 0 && gy > 0 ? [gx, gy] : null;
+};
+
+/**
+ * Rounds a value to the nearest multiple of a grid step
+ * @param {number} value - Value in pixels
+ * @param {number} step - Grid step in pixels; 0 disables snapping
+ * @returns {number} Snapped value
+ */
+const snapToGrid = (value, step) => (step ? Math.round(value / step) * step : value);
+
+/**
+ * Matches the responsive lengths accepted for position and size: pixels, percentages of the bounds, and viewport units
+ * @constant {RegExp}
+ */
+const LENGTH_PATTERN = /^(-?\d*\.?\d+)(px|%|vw|vh)$/;
+
+/**
+ * Converts a position or size length to pixels
+ * @param {number|string} value - Pixels as a number, or a string in px, %, vw or vh
+ * @param {number} reference - Pixel length that percentages refer to
+ * @param {{width: number, height: number}} viewport - Viewport size for vw and vh
+ * @returns {number|null} Length in pixels, or null for keywords such as 'auto' and 'full'
+ */
+const toPixels = (value, reference, viewport) => {
+    if (typeof value === 'number') return value;
+    const match = typeof value === 'string' && value.trim().match(LENGTH_PATTERN);
+    if (!match) return null;
+    const amount = parseFloat(match[1]);
+    if (match[2] === '%') return (amount / 100) * reference;
+    if (match[2] === 'vw') return (amount / 100) * viewport.width;
+    if (match[2] === 'vh') return (amount / 100) * viewport.height;
+    return amount;
+};
+
+/**
+ * Expresses a pixel length in the unit of another length, so responsive values stay responsive after an interaction
+ * @param {number} pixels - Length in pixels
+ * @param {number|string} template - Length whose unit is kept; pixel values and keywords give plain pixels
+ * @param {number} reference - Pixel length that percentages refer to
+ * @param {{width: number, height: number}} viewport - Viewport size for vw and vh
+ * @returns {number|string} Length in the template's unit
+ */
+const toTemplateUnit = (pixels, template, reference, viewport) => {
+    const match = typeof template === 'string' && template.trim().match(LENGTH_PATTERN);
+    const unit = match ? match[2] : 'px';
+    const base = unit === '%' ? reference : unit === 'vw' ? viewport.width : unit === 'vh' ? viewport.height : 0;
+    if (!base) return pixels;
+    return `${Math.round((pixels / base) * 100000) / 1000}${unit}`;
+};
+
+/**
+ * Offset in pixels between cascaded windows
+ * @constant {number}
+ */
+const CASCADE_STEP = 32;
+
+/**
+ * Space in pixels kept between windows and the bounds edges by the 'smart' placement
+ * @constant {number}
+ */
+const PLACEMENT_GAP = 8;
+
+/**
+ * Measures how much two rects overlap
+ * @param {{x: number, y: number, width: number, height: number}} a - First rect
+ * @param {{x: number, y: number, width: number, height: number}} b - Second rect
+ * @returns {number} Overlapping area in square pixels
+ */
+const getOverlapArea = (a, b) => Math.max(0, Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x))
+    * Math.max(0, Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y));
+
+/**
+ * Computes the initial top-left corner of a window for a built-in placement strategy
+ * @param {'center'|'cascade'|'smart'|'near-pointer'} strategy - Placement strategy
+ * @param {Object} context - Placement context, in the window's coordinate space
+ * @param {number} context.width - Measured window width
+ * @param {number} context.height - Measured window height
+ * @param {{x: number, y: number, width: number, height: number}} context.bounds - Area to place the window in
+ * @param {Array<{x: number, y: number, width: number, height: number}>} context.windows - Other mounted windows, oldest first
+ * @param {null|{x: number, y: number}} context.pointer - Last pointer press
+ * @returns {{x: number, y: number}} Position before clamping to the bounds
+ */
+const getPlacementPosition = (strategy, { width, height, bounds, windows, pointer }) => {
+    const centered = { x: bounds.x + (bounds.width - width) / 2, y: bounds.y + (bounds.height - height) / 2 };
+    if (strategy === 'cascade') {
+        const origin = { x: bounds.x + CASCADE_STEP, y: bounds.y + CASCADE_STEP };
+        const last = windows[windows.length - 1];
+        if (!last) return origin;
+        const next = { x: last.x + CASCADE_STEP, y: last.y + CASCADE_STEP };
+        // Start over from the top-left once the next step would leave the bounds
+        return next.x + width > bounds.x + bounds.width || next.y + height > bounds.y + bounds.height ? origin : next;
+    }
+    if (strategy === 'smart') {
+        // Try the center, then every spot beside an edge of another window, top to bottom and left to right
+        const xs = [bounds.x + PLACEMENT_GAP, ...windows.map(r => r.x + r.width + PLACEMENT_GAP)];
+        const ys = [bounds.y + PLACEMENT_GAP, ...windows.map(r => r.y + r.height + PLACEMENT_GAP)];
+        const candidates = [centered, ...ys.flatMap(y => xs.map(x => ({ x, y }))).sort((a, b) => a.y - b.y || a.x - b.x)]
+            .filter(c => c.x >= bounds.x && c.y >= bounds.y && c.x + width <= bounds.x + bounds.width && c.y + height <= bounds.y + bounds.height);
+        let best = centered, bestOverlap = Infinity;
+        candidates.forEach(candidate => {
+            const overlap = windows.reduce((sum, r) => sum + getOverlapArea({ ...candidate, width, height }, r), 0);
+            if (overlap < bestOverlap) { best = candidate; bestOverlap = overlap; }
+        });
+        return best;
+    }
+    if (strategy === 'near-pointer' && pointer) return pointer;
+    return centered;
+};
+
+/**
+ * Describes a window rect for screen reader announcements
+ * @param {string} type - Interaction type ('drag', 'resize-*')
+ * @param {{x: number, y: number, width: number, height: number}} rect - Resulting rect
+ * @returns {string} Human readable announcement
+ */
+const describeRect = (type, rect) => (type === 'drag'
+    ? `Window moved to ${Math.round(rect.x)}, ${Math.round(rect.y)}`
+    : `Window resized to ${Math.round(rect.width)} by ${Math.round(rect.height)} pixels`);
+
+/**
+ * Media query matching users who asked for less motion
+ * @constant {string}
+ */
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+/**
+ * Checks whether animations should be skipped
+ * @returns {boolean} True when the user prefers reduced motion
+ */
+const prefersReducedMotion = () => typeof window !== 'undefined' && Boolean(window.matchMedia) && window.matchMedia(REDUCED_MOTION_QUERY).matches;
+
+/**
+ * Distance in pixels a window slides in from when the slide animation has no origin element
+ * @constant {number}
+ */
+const SLIDE_DISTANCE = 24;
+
+/**
+ * Scale a window grows from when the scale animation has no origin element
+ * @constant {number}
+ */
+const ENTER_SCALE = 0.95;
+
+/**
+ * Resolves an element given as an element, a ref or a CSS selector
+ * @param {string|React.RefObject<HTMLElement>|HTMLElement} [target] - Element reference
+ * @returns {HTMLElement|null} The element, or null when it cannot be found
+ */
+const resolveElement = (target) => {
+    if (!target) return null;
+    if (typeof target === 'string') return typeof document !== 'undefined' ? document.querySelector(target) : null;
+    if (target.nodeType === 1) return target;
+    return 'current' in target ? target.current : null;
+};
+
+/**
+ * Resolves the `portal` prop to the element windows are rendered into
+ * @param {boolean|string|React.RefObject<HTMLElement>|HTMLElement} [portal] - `true` for document.body, or a container
+ * @returns {HTMLElement|null} Portal container, or null when rendering inline or the container is not available yet
+ */
+const resolvePortalContainer = (portal) => {
+    if (!portal || typeof document === 'undefined') return null;
+    return portal === true ? document.body : resolveElement(portal);
+};
+
+/**
+ * Attribute marking the element a window is rendered through, which bounds="parent" looks past
+ * @constant {string}
+ */
+const WINDOW_HOST_ATTRIBUTE = 'data-flexi-window-host';
+
+/**
+ * Builds the keyframes of an enter animation; exit animations play them in reverse.
+ * The shown keyframe is the window's rendered transform, so the animation ends exactly where the window is placed.
+ * @param {'fade'|'scale'|'slide'} animation - Animation type
+ * @param {HTMLElement} element - Window element
+ * @param {string|React.RefObject<HTMLElement>|HTMLElement} [origin] - Element the window grows or slides out of
+ * @returns {Array<{opacity: number, transform: string}>|null} Keyframes, or null for unknown animations
+ */
+const getWindowAnimationKeyframes = (animation, element, origin) => {
+    if (animation !== 'fade' && animation !== 'scale' && animation !== 'slide') return null;
+    const shown = element.style.transform;
+    let hidden = shown;
+    const originElement = animation === 'fade' ? null : resolveElement(origin);
+    if (originElement) {
+        const originRect = originElement.getBoundingClientRect();
+        const rect = element.getBoundingClientRect();
+        const dx = originRect.left + originRect.width / 2 - (rect.left + rect.width / 2);
+        const dy = originRect.top + originRect.height / 2 - (rect.top + rect.height / 2);
+        const scale = animation === 'scale' && rect.width && rect.height
+            ? ` scale(${Math.max(originRect.width / rect.width, 0.05)}, ${Math.max(originRect.height / rect.height, 0.05)})`
+            : '';
+        hidden = `translate(${dx}px, ${dy}px) ${shown}${scale}`;
+    } else if (animation === 'scale') {
+        hidden = `${shown} scale(${ENTER_SCALE})`;
+    } else if (animation === 'slide') {
+        hidden = `translate(0px, ${SLIDE_DISTANCE}px) ${shown}`;
+    }
+    return [{ opacity: 0, transform: hidden }, { opacity: 1, transform: shown }];
+};
+
+/**
+ * Renders a mounted window. WindowComponent keeps it mounted while its exit animation plays.
+ *
  * @component
- * @example
- * ```jsx
- * <WindowComponent
- *   w={400}
- *   h={300}
- *   x={100}
- *   y={100}
- *   windowColor="blue-500/90"
- *   windowBorderRadius="lg"
- *   windowShadow="xl/30"
- *   boundary={true}
- * >
- *   <div>Your content here</div>
- * </WindowComponent>
- * ```
- * 
- * @param {Object} props - Component props
- * @param {number|string} [props.w='auto'] - Window width (number for pixels, 'auto', 'full', or CSS value)
- * @param {number|string} [props.h='auto'] - Window height (number for pixels, 'auto', 'full', or CSS value)
- * @param {number} [props.x=50] - Initial X position in pixels
- * @param {number} [props.y=50] - Initial Y position in pixels
- * @param {number} [props.minW=1] - Minimum width in pixels
- * @param {number} [props.minH=1] - Minimum height in pixels
- * @param {number|string} [props.maxW=Infinity] - Maximum width in pixels or 'viewport' for viewport constraint
- * @param {number|string} [props.maxH=Infinity] - Maximum height in pixels or 'viewport' for viewport constraint
- * @param {boolean} [props.boundary=false] - Whether to constrain window within viewport boundaries
- * @param {string} [props.overflow='auto'] - CSS overflow property for the content area
- * @param {string} [props.overflowY='auto'] - CSS overflow-y property for the content area
- * @param {string} [props.overflowX='auto'] - CSS overflow-x property for the content area
- * @param {boolean} [props.hideScrollbar=false] - Whether to hide scrollbars while preserving scroll functionality
- * @param {string} [props.className=''] - Additional CSS classes to apply to the window
- * @param {string} [props.windowColor=''] - Tailwind-style color (e.g., 'blue-500/90' for blue with 90% opacity)
- * @param {string} [props.windowBorderColor=''] - Border color, defaults to windowColor if not specified
- * @param {string} [props.windowBorderRadius=''] - Border radius using Tailwind-style values (sm, md, lg, xl, etc.)
- * @param {number} [props.windowBorder=0] - Border width in pixels
- * @param {string} [props.windowShadow=''] - Box shadow using Tailwind-style values with optional opacity (e.g., 'xl/30')
- * @param {string} [props.windowBackgroundBlur=''] - Backdrop blur effect (sm, md, lg, xl, etc.)
- * @param {string} [props.windowBackgroundSaturation='100'] - Backdrop saturation percentage
- * @param {number} [props.zIndex=1] - CSS z-index value for stacking order
- * @param {React.ReactNode} props.children - Content to render inside the window
- * @returns {JSX.Element} The rendered window component
+ * @param {Object} props - WindowComponent props, plus `onExitComplete` called when the exit animation has finished
+ * @param {React.Ref<WindowHandle>} ref - Receives the imperative window handle
+ * @returns {JSX.Element} The rendered window
  */
-function WindowComponent({
-    w = 'auto', h = 'auto', x = 50, y = 50, minW = 1, minH = 1, boundary = false, overflow = 'auto', overflowY = 'auto', overflowX = 'auto', maxW = Infinity, maxH = Infinity, hideScrollbar = false, className = '', windowColor = '', windowBorderColor = '', windowBorderRadius = '', windowBorder = 0, windowShadow = '', windowBackgroundBlur = '', windowBackgroundSaturation = '100', zIndex = 1, children
-}) {
+const WindowFrame = forwardRef((props, ref) => {
+    // Styling props left unset fall back to the tokens of the window's theme variant
+    const {
+        w, h, x, y, defaultW, defaultH, defaultX, defaultY, position: controlledPosition, size: controlledSize, onPositionChange, onSizeChange, onDragStart, onDrag, onDragStop, onResizeStart, onResize, onResizeStop, dragHandle, dragCancel, title, titleBar, titleIcon, titleBarColor = '', titleBarClassName = '', minimizable = true, maximizable = true, onMinimize, onMaximize, onClose, windowState: controlledWindowState, defaultWindowState = 'normal', onWindowStateChange, persistKey, persistStorage = 'local', persistVersion = 1, migrateLayout, minW = 1, minH = 1, boundary = false, bounds, overflow = 'auto', overflowY = 'auto', overflowX = 'auto', maxW = Infinity, maxH = Infinity, hideScrollbar = false, className = '', windowColor = '', windowTextColor, windowBorderColor = '', windowBorderRadius = '', windowBorder = 0, windowShadow = '', windowBackgroundBlur = '', windowBackgroundSaturation = '100', zIndex = 1, grid, resizeGrid, snapZones = false, snapPreviewColor = 'blue-500/20', snapPreviewBorderColor = 'blue-500/60', snapGroup, snapThreshold = 8, snapGuides = false, snapGuideColor = 'pink-500', lockAspectRatio = false, deferRendering = false, anchor = 'top-left', placement, draggable = true, resizable = true, locked = false, dragAxis = 'both', resizeAxis = 'both', enableResizing = true, handleSize = 8, renderHandle, handleClassNames, showHandles = false, handleColor = 'blue-500', keyboardStep = 10, ariaLabel = 'Draggable and resizable window', open = true, animation = 'none', animationDuration = 200, animationOrigin, animateLayout = false, portal, onExitComplete, id, children
+    } = useThemedProps(props);
+
+    // ===================== WINDOW MANAGER =====================
+    /**
+     * Stable identifier of this window instance
+     * @type {string}
+     */
+    const windowId = useWindowId(id);
+
+    /**
+     * Nearest window manager, or null when rendered standalone
+     * @type {null|Object}
+     */
+    const windowManager = useContext(WindowManagerContext);
+    const workspace = useContext(WorkspaceContext);
+
     // ===================== STATE MANAGEMENT =====================
     /**
-     * Current position of the window
-     * @type {[{x: number, y: number}, Function]}
+     * Internal position of the window, used when `position` is not controlled
+     * @type {[{x: number|string, y: number|string}, Function]}
      */
-    const [position, setPosition] = useState({ x, y });
+    const [internalPosition, setInternalPosition] = useState(() => ({ x: defaultX ?? x ?? 50, y: defaultY ?? y ?? 50 }));
     
     /**
-     * Current size of the window
+     * Internal size of the window, used when `size` is not controlled
      * @type {[{w: number|string, h: number|string}, Function]}
      */
-    const [size, setSize] = useState({ w, h });
+    const [internalSize, setInternalSize] = useState(() => ({ w: defaultW ?? w ?? 'auto', h: defaultH ?? h ?? 'auto' }));
+
+    /**
+     * Internal window state, used when `windowState` is not controlled
+     * @type {['normal'|'minimized'|'maximized'|'fullscreen', Function]}
+     */
+    const [internalWindowState, setInternalWindowState] = useState(defaultWindowState);
+
+    /**
+     * Whether the position is driven by the parent through `position` / `onPositionChange`
+     * @type {boolean}
+     */
+    const isPositionControlled = controlledPosition !== undefined;
+
+    /**
+     * Whether the size is driven by the parent through `size` / `onSizeChange`
+     * @type {boolean}
+     */
+    const isSizeControlled = controlledSize !== undefined;
+
+    /**
+     * Effective window state
+     * @type {'normal'|'minimized'|'maximized'|'fullscreen'}
+     */
+    const windowState = controlledWindowState !== undefined ? controlledWindowState : internalWindowState;
+
+    /**
+     * Whether the built-in title bar is rendered
+     * @type {boolean}
+     */
+    const showTitleBar = titleBar ?? (title !== undefined && title !== null);
+
+    /**
+     * Effective position of the window
+     * @type {{x: number|string, y: number|string}}
+     */
+    const position = isPositionControlled ? controlledPosition : internalPosition;
+
+    /**
+     * Effective size of the window
+     * @type {{w: number|string, h: number|string}}
+     */
+    const size = isSizeControlled ? controlledSize : internalSize;
     
     /**
      * Whether the window is currently being interacted with (dragged or resized)
@@ -89,6 +521,24 @@ function WindowComponent({
      */
     const [isInteracting, setIsInteracting] = useState(false);
     
+    /**
+     * Edge snapping target shown while dragging near a snap zone
+     * @type {[null|{zone: string, rect: {x: number, y: number, width: number, height: number}}, Function]}
+     */
+    const [snapPreview, setSnapPreview] = useState(null);
+
+    /**
+     * Alignment guides shown while an edge is locked to a sibling window
+     * @type {[Array<{axis: 'x'|'y', offset: number, start: number, end: number}>, Function]}
+     */
+    const [alignmentGuides, setAlignmentGuides] = useState([]);
+
+    /**
+     * Latest screen reader announcement of a position or size change
+     * @type {[string, Function]}
+     */
+    const [announcement, setAnnouncement] = useState('');
+
     /**
      * Current viewport dimensions for boundary calculations
      * @type {[{width: number, height: number}, Function]}
@@ -98,6 +548,68 @@ function WindowComponent({
         height: typeof window !== 'undefined' ? window.innerHeight : 0,
     });
 
+    /**
+     * Measured bounding area in the window's coordinate space, kept up to date with the viewport and the bounds element
+     * @type {[{x: number, y: number, width: number, height: number}, Function]}
+     */
+    const [boundsRect, setBoundsRect] = useState(() => ({ x: 0, y: 0, width: viewportSize.width, height: viewportSize.height }));
+
+    /**
+     * Whether position and size are clamped to the bounds
+     * @constant {boolean}
+     */
+    const isBounded = boundary || (bounds != null && bounds !== false);
+
+    /**
+     * Whether the user can move the window
+     * @constant {boolean}
+     */
+    const canDrag = draggable && !locked;
+
+    /**
+     * Whether the user can resize the window
+     * @constant {boolean}
+     */
+    const canResize = resizable && !locked;
+
+    /**
+     * Resize directions with an active handle
+     * @constant {string[]}
+     */
+    const enabledResizeDirections = canResize
+        ? getEnabledResizeDirections(enableResizing).filter(direction => isResizeDirectionOnAxis(direction, resizeAxis))
+        : [];
+
+    /**
+     * Whether Shift + arrow keys may change the width; keyboard resizing works from the bottom-right corner
+     * @constant {boolean}
+     */
+    const canKeyboardResizeWidth = enabledResizeDirections.includes('right') || enabledResizeDirections.includes('bottom-right');
+
+    /**
+     * Whether Shift + arrow keys may change the height
+     * @constant {boolean}
+     */
+    const canKeyboardResizeHeight = enabledResizeDirections.includes('bottom') || enabledResizeDirections.includes('bottom-right');
+
+    /**
+     * Persist key whose stored layout has been restored; saving starts once it matches persistKey
+     * @type {[string|null, Function]}
+     */
+    const [restoredPersistKey, setRestoredPersistKey] = useState(null);
+
+    /**
+     * Whether a persisted layout is still being loaded; the window stays hidden meanwhile to avoid a jump
+     * @constant {boolean}
+     */
+    const isRestoring = persistKey != null && restoredPersistKey !== persistKey;
+
+    /**
+     * Duration of the rect transition while the window animates into a new rect or state (0 when idle)
+     * @type {[number, Function]}
+     */
+    const [layoutTransitionMs, setLayoutTransitionMs] = useState(0);
+
     // ===================== REFS =====================
     /**
      * Stores current interaction state (drag/resize details)
@@ -111,6 +623,18 @@ function WindowComponent({
      */
     const windowRef = useRef(null);
     
+    /**
+     * Position and size before the current keyboard move / resize, restored on Escape
+     * @type {React.MutableRefObject<null|{position: {x: number, y: number}, size: {w: number|string, h: number|string}}>}
+     */
+    const keyboardStartRef = useRef(null);
+
+    /**
+     * Reference to the built-in title bar element
+     * @type {React.MutableRefObject<HTMLDivElement|null>}
+     */
+    const titleBarRef = useRef(null);
+
     /**
      * Timer for touch drag hold detection
      * @type {React.MutableRefObject<number|null>}
@@ -118,209 +642,1409 @@ function WindowComponent({
     const dragHoldTimerRef = useRef(null);
     
     /**
-     * Initial touch coordinates for movement threshold detection
-     * @type {React.MutableRefObject<null|{x: number, y: number}>}
+     * Pending animation frame that writes a deferred interaction rect to the DOM
+     * @type {React.MutableRefObject<number|null>}
      */
-    const touchStartCoordsRef = useRef(null);
+    const interactionFrameRef = useRef(null);
 
-    // ===================== UTILITY FUNCTIONS =====================
     /**
-     * Extracts coordinates from mouse or touch events
-     * @param {MouseEvent|TouchEvent} e - The event object
-     * @returns {{clientX: number, clientY: number, target: EventTarget}} Normalized coordinates and target
+     * Touch pointer waiting for the drag hold delay, with its start coordinates for movement threshold detection
+     * @type {React.MutableRefObject<null|{pointerId: number, x: number, y: number}>}
      */
-    const getEventCoordinates = (e) => {
-        if (e.touches && e.touches.length > 0) return { clientX: e.touches[0].clientX, clientY: e.touches[0].clientY, target: e.touches[0].target };
-        return { clientX: e.clientX, clientY: e.clientY, target: e.target };
-    };
+    const dragHoldPointerRef = useRef(null);
 
-    // ===================== EVENT HANDLERS =====================
     /**
-     * Initiates interaction (drag or resize) when user starts mouse/touch interaction
-     * @param {MouseEvent|TouchEvent} e - The initiating event
-     * @param {string} type - Type of interaction ('drag', 'resize-*')
+     * Latest change and lifecycle callbacks, kept in refs so event handlers stay stable across renders
+     * @type {React.MutableRefObject<Object.<string, Function|undefined>>}
      */
-    const handleInteractionStart = useCallback((e, type) => {
-        const { clientX, clientY, target } = getEventCoordinates(e);
-        
-        // Prevent dragging on interactive elements
-        if (type === 'drag') {
-            const interactiveTags = ['INPUT', 'TEXTAREA', 'BUTTON', 'SELECT', 'A'];
-            if (interactiveTags.includes(target.tagName) || target.isContentEditable || target.closest('a[href], button')) return;
-        }
-        
-        e.preventDefault();
-        e.stopPropagation();
-        
-        if (!windowRef.current) return;
-        const { offsetWidth, offsetHeight } = windowRef.current;
-        
-        // Store interaction state for movement calculations
-        interactionRef.current = { 
-            type, 
-            startX: clientX, 
-            startY: clientY, 
-            initialWidth: offsetWidth, 
-            initialHeight: offsetHeight, 
-            initialX: position.x, 
-            initialY: position.y 
-        };
-        setIsInteracting(true);
-    }, [position]);
+    const callbacksRef = useRef({});
+    callbacksRef.current = { onPositionChange, onSizeChange, onDragStart, onDrag, onDragStop, onResizeStart, onResize, onResizeStop, onWindowStateChange, onMinimize, onMaximize };
+
+    /**
+     * Latest window state, readable from stable callbacks and event listeners
+     * @type {React.MutableRefObject<string>}
+     */
+    const windowStateRef = useRef(windowState);
+    windowStateRef.current = windowState;
+
+    /**
+     * Measured size of the window before it left the normal state, used to restore it
+     * @type {React.MutableRefObject<null|{width: number, height: number}>}
+     */
+    const restoreSizeRef = useRef(null);
+
+    /**
+     * Size of the window before it was snapped to an edge zone, restored when it is dragged away, and the size it snapped to
+     * @type {React.MutableRefObject<null|{width: number, height: number, size: {w: number|string, h: number|string}, snappedSize: {w: number|string, h: number|string}}>}
+     */
+    const preSnapRef = useRef(null);
+
+    /**
+     * Latest edge snapping configuration, read during pointer moves
+     * @type {React.MutableRefObject<boolean|Object>}
+     */
+    const snapZonesRef = useRef(snapZones);
+    snapZonesRef.current = snapZones;
+
+    /**
+     * Timer ending a layout transition
+     * @type {React.MutableRefObject<number|undefined>}
+     */
+    const layoutTransitionTimerRef = useRef();
+
+    /**
+     * Enter or exit animation currently playing
+     * @type {React.MutableRefObject<null|Animation>}
+     */
+    const windowAnimationRef = useRef(null);
+
+    /**
+     * Whether the enter animation has been started, so it only plays once per mount
+     * @type {React.MutableRefObject<boolean>}
+     */
+    const hasEnteredRef = useRef(false);
+
+    /**
+     * Latest animation props, readable from the open/close effect
+     * @type {React.MutableRefObject<{animation: string, animationDuration: number, animationOrigin: *, onExitComplete: Function|undefined}>}
+     */
+    const animationOptionsRef = useRef({});
+    animationOptionsRef.current = { animation, animationDuration, animationOrigin, onExitComplete };
+
+    /**
+     * Layout API registered with the surrounding Workspace, refreshed on every render
+     * @type {React.MutableRefObject<null|{getLayout: Function, applyLayout: Function}>}
+     */
+    const workspaceWindowRef = useRef(null);
+
+    /**
+     * Latest persistence options, read when a layout is loaded or saved
+     * @type {React.MutableRefObject<{persistStorage: string|Object, migrateLayout: Function|undefined}>}
+     */
+    const persistOptionsRef = useRef({ persistStorage, migrateLayout });
+    persistOptionsRef.current = { persistStorage, migrateLayout };
+
+    /**
+     * Latest bounds prop, read when the bounds are measured
+     * @type {React.MutableRefObject<string|Object|HTMLElement|undefined>}
+     */
+    const boundsRef = useRef(bounds);
+    boundsRef.current = bounds;
+
+    /**
+     * Offset the window is currently rendered at, used to convert viewport coordinates into the window's coordinate space
+     * @type {React.MutableRefObject<{x: number, y: number}>}
+     */
+    const renderedOffsetRef = useRef({ x: 0, y: 0, fromRight: false, fromBottom: false });
+
+    /**
+     * Inline transform and size of the last render, restored after deferred rendering wrote the DOM directly
+     * @type {React.MutableRefObject<{transform: string, width: string, height: string}>}
+     */
+    const renderedStyleRef = useRef({ transform: '', width: '', height: '' });
+
+    /**
+     * Latest position and size, whose units and anchor committed pixel rects are converted back into
+     * @type {React.MutableRefObject<{position: Object, size: Object}>}
+     */
+    const layoutRef = useRef(null);
+    layoutRef.current = { position, size };
+
+    /**
+     * State to return to when fullscreen is exited
+     * @type {React.MutableRefObject<string>}
+     */
+    const preFullscreenStateRef = useRef('normal');
+
+    /**
+     * State to return to when a minimized window is restored
+     * @type {React.MutableRefObject<string>}
+     */
+    const preMinimizeStateRef = useRef('normal');
+
+    // ===================== UTILITY FUNCTIONS =====================
+    /**
+     * Builds the structured event passed to drag and resize lifecycle callbacks
+     * @param {{type: string, initialX: number, initialY: number, initialWidth: number, initialHeight: number}} interaction - Current interaction state
+     * @param {{x: number, y: number, width: number, height: number}} rect - Window rect at the time of the event
+     * @param {Event} [e] - The originating DOM or React event
+     * @returns {{x: number, y: number, width: number, height: number, deltaX: number, deltaY: number, deltaW: number, deltaH: number, direction: string|null, nativeEvent: Event|null}} Lifecycle event
+     */
+    const createInteractionEvent = (interaction, rect, e) => ({
+        x: rect.x,
+        y: rect.y,
+        width: rect.width,
+        height: rect.height,
+        deltaX: rect.x - interaction.initialX,
+        deltaY: rect.y - interaction.initialY,
+        deltaW: rect.width - interaction.initialWidth,
+        deltaH: rect.height - interaction.initialHeight,
+        direction: interaction.type === 'drag' ? null : interaction.type.replace('resize-', ''),
+        pointerType: interaction.pointerType || null,
+        nativeEvent: e ? (e.nativeEvent || e) : null,
+    });
+
+    /**
+     * Invokes the drag or resize lifecycle callback matching the interaction type
+     * @param {string} phase - Lifecycle phase ('Start', '', 'Stop')
+     * @param {{type: string}} interaction - Current interaction state
+     * @param {Object} event - Structured lifecycle event
+     * @returns {*} The callback's return value
+     */
+    const emitInteractionEvent = (phase, interaction, event) => {
+        const callback = callbacksRef.current[`${interaction.type === 'drag' ? 'onDrag' : 'onResize'}${phase}`];
+        return callback ? callback(event) : undefined;
+    };
+
+    /**
+     * Commits a new position, updating internal state when uncontrolled and notifying the parent
+     * @param {{x: number, y: number}} next - Constrained position
+     */
+    const setPosition = useCallback((next) => {
+        if (!isPositionControlled) setInternalPosition(next);
+        if (callbacksRef.current.onPositionChange) callbacksRef.current.onPositionChange(next);
+    }, [isPositionControlled]);
+
+    /**
+     * Commits a new size, updating internal state when uncontrolled and notifying the parent
+     * @param {{w: number|string, h: number|string}} next - Constrained size
+     */
+    const setSize = useCallback((next) => {
+        if (!isSizeControlled) setInternalSize(next);
+        if (callbacksRef.current.onSizeChange) callbacksRef.current.onSizeChange(next);
+    }, [isSizeControlled]);
+
+    /**
+     * Checks whether a drag may start from the given element.
+     * The built-in title bar always drags the window; without a `dragHandle` it is the only drag region.
+     * @param {Element} target - Element that received the pointer down
+     * @returns {boolean} True when the target lies inside the title bar or the configured drag handle
+     */
+    const isDragHandleTarget = useCallback((target) => {
+        if (titleBarRef.current && titleBarRef.current.contains(target)) return true;
+        if (!dragHandle) return !showTitleBar;
+        if (typeof dragHandle === 'string') {
+            const handle = target.closest(dragHandle);
+            return Boolean(handle && windowRef.current && windowRef.current.contains(handle));
+        }
+        const handle = 'current' in dragHandle ? dragHandle.current : dragHandle;
+        return Boolean(handle && handle.contains(target));
+    }, [dragHandle, showTitleBar]);
+
+    /**
+     * Transitions the next rect change of the window instead of jumping, unless the user prefers reduced motion
+     * @param {number} duration - Transition duration in milliseconds; 0 skips the transition
+     */
+    const startLayoutTransition = useCallback((duration) => {
+        if (!duration || prefersReducedMotion()) return;
+        clearTimeout(layoutTransitionTimerRef.current);
+        setLayoutTransitionMs(duration);
+        layoutTransitionTimerRef.current = setTimeout(() => setLayoutTransitionMs(0), duration);
+    }, []);
+
+    /**
+     * Duration of the transitions played by programmatic rect and state changes
+     * @constant {number}
+     */
+    const layoutAnimationMs = animateLayout ? animationDuration : 0;
+
+    /**
+     * Commits a new window state, updating internal state when uncontrolled and notifying the parent
+     * @param {'normal'|'minimized'|'maximized'|'fullscreen'} next - Target window state
+     */
+    const setWindowState = useCallback((next) => {
+        const previous = windowStateRef.current;
+        if (next === previous) return;
+        if (previous === 'normal' && windowRef.current) {
+            restoreSizeRef.current = { width: windowRef.current.offsetWidth, height: windowRef.current.offsetHeight };
+        }
+        if (next === 'fullscreen') preFullscreenStateRef.current = previous;
+        if (next === 'minimized') preMinimizeStateRef.current = previous;
+        windowStateRef.current = next;
+        if (controlledWindowState === undefined) setInternalWindowState(next);
+        const { onWindowStateChange: onChange, onMinimize: onMin, onMaximize: onMax } = callbacksRef.current;
+        if (onChange) onChange(next, previous);
+        if (next === 'minimized' && onMin) onMin();
+        if (next === 'maximized' && onMax) onMax();
+    }, [controlledWindowState]);
+
+    /**
+     * Changes the window state on request of the user or the parent, animating the change when `animateLayout` is set
+     * @param {'normal'|'minimized'|'maximized'|'fullscreen'} next - Target window state
+     */
+    const changeWindowState = useCallback((next) => {
+        if (next !== windowStateRef.current && next !== 'fullscreen') startLayoutTransition(layoutAnimationMs);
+        setWindowState(next);
+    }, [setWindowState, startLayoutTransition, layoutAnimationMs]);
+
+    /**
+     * Toggles between the minimized and the previous state
+     */
+    const toggleMinimize = useCallback(() => {
+        changeWindowState(windowStateRef.current === 'minimized' ? preMinimizeStateRef.current : 'minimized');
+    }, [changeWindowState]);
+
+    /**
+     * Toggles between the maximized and the normal state
+     */
+    const toggleMaximize = useCallback(() => {
+        changeWindowState(windowStateRef.current === 'maximized' ? 'normal' : 'maximized');
+    }, [changeWindowState]);
+
+    /**
+     * Computes the rect a maximized window fills, in the window's coordinate space.
+     * Fills the containing block by default, or the bounds when a `bounds` area other than the viewport is set.
+     * @returns {{x: number, y: number, w: number|string, h: number|string}} Maximized rect
+     */
+    const getMaximizedRect = useCallback(() => (bounds == null || bounds === false || bounds === 'viewport'
+        ? { x: 0, y: 0, w: 'full', h: 'full' }
+        : { x: boundsRect.x, y: boundsRect.y, w: boundsRect.width, h: boundsRect.height }), [bounds, boundsRect]);
+
+    /**
+     * Returns the area the window is constrained to when `boundary` or `bounds` is set
+     * @returns {{x: number, y: number, width: number, height: number}} Bounding rect in the window's coordinate space
+     */
+    const getBoundsRect = useCallback(() => boundsRect, [boundsRect]);
+
+    /**
+     * Resolves the bounds prop to an element, when it refers to one
+     * @returns {HTMLElement|null} Bounds element, or null for the viewport and explicit rects
+     */
+    const getBoundsElement = useCallback(() => {
+        const target = boundsRef.current;
+        if (!target || target === 'viewport' || !windowRef.current) return null;
+        if (target === 'parent') {
+            const parent = windowRef.current.parentElement;
+            return windowRef.current.offsetParent || (parent && parent.hasAttribute(WINDOW_HOST_ATTRIBUTE) ? parent.parentElement : parent);
+        }
+        return resolveElement(target);
+    }, []);
+
+    /**
+     * Finds the viewport coordinates of the origin of the window's coordinate space, from where the window is rendered
+     * @returns {{x: number, y: number}} Origin in viewport coordinates
+     */
+    const getCoordinateOrigin = useCallback(() => {
+        const windowClientRect = windowRef.current.getBoundingClientRect();
+        const { x: renderedX, y: renderedY, fromRight, fromBottom } = renderedOffsetRef.current;
+        return {
+            x: windowClientRect.left - (fromRight ? renderedX - windowRef.current.offsetWidth : renderedX),
+            y: windowClientRect.top - (fromBottom ? renderedY - windowRef.current.offsetHeight : renderedY),
+        };
+    }, []);
+
+    /**
+     * Measures the bounds in the window's coordinate space.
+     * Element bounds cover the element's padding box, independent of its scroll position.
+     * @returns {{x: number, y: number, width: number, height: number}} Bounding rect
+     */
+    const measureBounds = useCallback(() => {
+        const target = boundsRef.current;
+        const viewport = { x: 0, y: 0, width: window.innerWidth, height: window.innerHeight };
+        if (target && typeof target === 'object' && !('current' in target) && target.nodeType !== 1) {
+            const { left = 0, top = 0, right = viewport.width, bottom = viewport.height } = target;
+            return { x: left, y: top, width: right - left, height: bottom - top };
+        }
+        const element = getBoundsElement();
+        if (!element) return viewport;
+        const origin = getCoordinateOrigin();
+        const elementRect = element.getBoundingClientRect();
+        return {
+            x: elementRect.left + element.clientLeft - element.scrollLeft - origin.x,
+            y: elementRect.top + element.clientTop - element.scrollTop - origin.y,
+            width: element.clientWidth,
+            height: element.clientHeight,
+        };
+    }, [getBoundsElement, getCoordinateOrigin]);
+
+    /**
+     * Maximum size after resolving 'viewport' and 'bounds'
+     * @constant {number}
+     */
+    const effectiveMaxW = maxW === 'viewport' ? viewportSize.width : maxW === 'bounds' ? boundsRect.width : maxW;
+    const effectiveMaxH = maxH === 'viewport' ? viewportSize.height : maxH === 'bounds' ? boundsRect.height : maxH;
+
+    /**
+     * Whether x and y are offsets from the right and bottom edges of the bounds instead of the top-left origin
+     * @constant {boolean}
+     */
+    const anchorRight = anchor === 'top-right' || anchor === 'bottom-right';
+    const anchorBottom = anchor === 'bottom-left' || anchor === 'bottom-right';
+
+    /**
+     * Converts a size in layout units to pixels; percentages refer to the bounds
+     * @param {{w: number|string, h: number|string}} value - Size
+     * @param {{width: number, height: number}} [area] - Bounds to resolve against
+     * @returns {{width: number|null, height: number|null}} Size in pixels, null for keywords such as 'auto'
+     */
+    const toPixelSize = useCallback((value, area = boundsRect) => ({
+        width: toPixels(value.w, area.width, viewportSize),
+        height: toPixels(value.h, area.height, viewportSize),
+    }), [boundsRect, viewportSize]);
+
+    /**
+     * Converts a position in layout units, relative to the anchor, to pixels in the window's coordinate space
+     * @param {{x: number|string, y: number|string}} value - Position
+     * @param {number} width - Window width in pixels, needed by right anchors
+     * @param {number} height - Window height in pixels, needed by bottom anchors
+     * @param {{x: number, y: number, width: number, height: number}} [area] - Bounds to resolve against
+     * @returns {{x: number, y: number}} Position in pixels
+     */
+    const toPixelPosition = useCallback((value, width, height, area = boundsRect) => {
+        const offsetX = toPixels(value.x, area.width, viewportSize) ?? 0;
+        const offsetY = toPixels(value.y, area.height, viewportSize) ?? 0;
+        return {
+            x: anchorRight ? area.x + area.width - width - offsetX : area.x + offsetX,
+            y: anchorBottom ? area.y + area.height - height - offsetY : area.y + offsetY,
+        };
+    }, [boundsRect, viewportSize, anchorRight, anchorBottom]);
+
+    /**
+     * Converts a pixel rect back into a position and size in the units and anchor of the current layout,
+     * so windows placed in %, vw or vh keep following the viewport and bounds after they are moved or resized
+     * @param {{x: number, y: number, width: number, height: number}} rect - Rect in pixels
+     * @param {{position: Object, size: Object}} [template] - Layout whose units are kept
+     * @param {{x: number, y: number, width: number, height: number}} [area] - Bounds to convert against
+     * @returns {{position: {x: number|string, y: number|string}, size: {w: number|string, h: number|string}}} Layout values
+     */
+    const toLayoutRect = useCallback((rect, template = layoutRef.current, area = boundsRect) => ({
+        position: {
+            x: toTemplateUnit(anchorRight ? area.x + area.width - rect.width - rect.x : rect.x - area.x, template.position.x, area.width, viewportSize),
+            y: toTemplateUnit(anchorBottom ? area.y + area.height - rect.height - rect.y : rect.y - area.y, template.position.y, area.height, viewportSize),
+        },
+        size: {
+            w: toTemplateUnit(rect.width, template.size.w, area.width, viewportSize),
+            h: toTemplateUnit(rect.height, template.size.h, area.height, viewportSize),
+        },
+    }), [boundsRect, viewportSize, anchorRight, anchorBottom]);
+
+    /**
+     * Applies min/max size limits and, when `boundary` or `bounds` is set, keeps the rect inside the bounds
+     * @param {{x: number, y: number, width: number, height: number}} rect - Requested rect
+     * @returns {{x: number, y: number, width: number, height: number}} Constrained rect
+     */
+    const constrainRect = useCallback((rect) => {
+        const area = getBoundsRect();
+        let width = Math.max(minW, Math.min(rect.width, effectiveMaxW));
+        let height = Math.max(minH, Math.min(rect.height, effectiveMaxH));
+        let newX = rect.x, newY = rect.y;
+        if (isBounded) {
+            width = Math.max(minW, Math.min(width, area.width));
+            height = Math.max(minH, Math.min(height, area.height));
+            newX = Math.max(area.x, Math.min(newX, area.x + area.width - width));
+            newY = Math.max(area.y, Math.min(newY, area.y + area.height - height));
+        }
+        return { x: newX, y: newY, width, height };
+    }, [getBoundsRect, minW, minH, effectiveMaxW, effectiveMaxH, isBounded]);
+
+    /**
+     * Snap steps for dragging and resizing in pixels (0 disables snapping on that axis)
+     * @type {number}
+     */
+    const [dragGridX = 0, dragGridY = 0] = normalizeGrid(grid) || [];
+    const [resizeGridX = dragGridX, resizeGridY = dragGridY] = normalizeGrid(resizeGrid) || [];
+
+    /**
+     * Computes the constrained rect produced by moving the pointer (or keyboard) by an offset during a drag or resize
+     * @param {{type: string, initialX: number, initialY: number, initialWidth: number, initialHeight: number}} interaction - Interaction starting state
+     * @param {number} dx - Horizontal offset since the interaction started
+     * @param {number} dy - Vertical offset since the interaction started
+     * @param {{snap?: boolean}} [options] - `snap: false` bypasses grid snapping
+     * @returns {{x: number, y: number, width: number, height: number}} Constrained rect
+     */
+    const computeInteractionRect = useCallback((interaction, dx, dy, { snap = true } = {}) => {
+        const { type, initialX, initialY, initialWidth, initialHeight } = interaction;
+        const area = getBoundsRect();
+        
+        if (type === 'drag') {
+            // Handle window dragging, keeping the axis locked by dragAxis where it started
+            const movesX = dragAxis !== 'y', movesY = dragAxis !== 'x';
+            let newX = movesX ? initialX + dx : initialX, newY = movesY ? initialY + dy : initialY;
+            if (snap) {
+                if (movesX) newX = snapToGrid(newX, dragGridX);
+                if (movesY) newY = snapToGrid(newY, dragGridY);
+            }
+            if (snap && interaction.magnetRects) {
+                if (movesX) newX += findMagnetOffset(getRectLines({ x: newX, width: initialWidth }, 'x'), interaction.magnetRects.flatMap(r => getRectLines(r, 'x')), snapThreshold);
+                if (movesY) newY += findMagnetOffset(getRectLines({ y: newY, height: initialHeight }, 'y'), interaction.magnetRects.flatMap(r => getRectLines(r, 'y')), snapThreshold);
+            }
+            if (isBounded) {
+                newX = Math.max(area.x, Math.min(newX, area.x + area.width - initialWidth));
+                newY = Math.max(area.y, Math.min(newY, area.y + area.height - initialHeight));
+            }
+            return { x: newX, y: newY, width: initialWidth, height: initialHeight };
+        }
+        
+        // Handle window resizing
+        let newWidth = initialWidth, newHeight = initialHeight, newX = initialX, newY = initialY;
+        
+        // Calculate new dimensions based on resize direction
+        if (type.includes('right')) newWidth = initialWidth + dx;
+        if (type.includes('left')) newWidth = initialWidth - dx;
+        if (type.includes('bottom')) newHeight = initialHeight + dy;
+        if (type.includes('top')) newHeight = initialHeight - dy;
+        
+        // Snap the dimensions being resized to the grid
+        if (snap) {
+            if (type.includes('left') || type.includes('right')) newWidth = snapToGrid(newWidth, resizeGridX);
+            if (type.includes('top') || type.includes('bottom')) newHeight = snapToGrid(newHeight, resizeGridY);
+        }
+        
+        // Pull the edges being resized onto nearby sibling edges
+        if (snap && interaction.magnetRects) {
+            const linesX = interaction.magnetRects.flatMap(r => getRectLines(r, 'x'));
+            const linesY = interaction.magnetRects.flatMap(r => getRectLines(r, 'y'));
+            if (type.includes('right')) newWidth += findMagnetOffset([initialX + newWidth], linesX, snapThreshold);
+            if (type.includes('left')) newWidth -= findMagnetOffset([initialX + initialWidth - newWidth], linesX, snapThreshold);
+            if (type.includes('bottom')) newHeight += findMagnetOffset([initialY + newHeight], linesY, snapThreshold);
+            if (type.includes('top')) newHeight -= findMagnetOffset([initialY + initialHeight - newHeight], linesY, snapThreshold);
+        }
+        
+        // Locked proportions: the dimension that changed most drives the other, opposite edges stay anchored
+        if (interaction.aspectRatio) {
+            const ratio = interaction.aspectRatio;
+            const movesX = type.includes('left') || type.includes('right');
+            const movesY = type.includes('top') || type.includes('bottom');
+            const widthDriven = movesX && (!movesY || Math.abs(newWidth / initialWidth - 1) >= Math.abs(newHeight / initialHeight - 1));
+            
+            // Fold the limits of both axes, and the room left in the bounds, into one width range
+            const minWidth = Math.max(minW, minH * ratio);
+            let maxWidth = Math.min(effectiveMaxW, effectiveMaxH * ratio);
+            if (isBounded) {
+                const availableWidth = type.includes('left') ? initialX + initialWidth - area.x : area.x + area.width - initialX;
+                const availableHeight = type.includes('top') ? initialY + initialHeight - area.y : area.y + area.height - initialY;
+                maxWidth = Math.min(maxWidth, availableWidth, availableHeight * ratio);
+            }
+            const width = Math.max(minWidth, Math.min(widthDriven ? newWidth : newHeight * ratio, maxWidth));
+            const height = width / ratio;
+            return {
+                x: type.includes('left') ? initialX + initialWidth - width : initialX,
+                y: type.includes('top') ? initialY + initialHeight - height : initialY,
+                width,
+                height,
+            };
+        }
+        
+        // Apply size constraints
+        let constrainedW = Math.max(minW, Math.min(newWidth, effectiveMaxW));
+        let constrainedH = Math.max(minH, Math.min(newHeight, effectiveMaxH));
+        
+        // Adjust position for left/top resizing
+        if (type.includes('left')) newX = initialX + (initialWidth - constrainedW);
+        if (type.includes('top')) newY = initialY + (initialHeight - constrainedH);
+        
+        // Apply boundary constraints
+        if (isBounded) {
+            if (newX < area.x) { constrainedW -= area.x - newX; newX = area.x; }
+            if (newY < area.y) { constrainedH -= area.y - newY; newY = area.y; }
+            if (newX + constrainedW > area.x + area.width) { constrainedW = area.x + area.width - newX; }
+            if (newY + constrainedH > area.y + area.height) { constrainedH = area.y + area.height - newY; }
+            constrainedW = Math.max(minW, constrainedW);
+            constrainedH = Math.max(minH, constrainedH);
+        }
+        
+        return { x: newX, y: newY, width: constrainedW, height: constrainedH };
+    }, [getBoundsRect, minW, minH, effectiveMaxW, effectiveMaxH, isBounded, dragAxis, dragGridX, dragGridY, resizeGridX, resizeGridY, snapThreshold]);
+
+    /**
+     * Resolves the width / height ratio to keep during a resize
+     * @param {number} width - Width at the start of the resize
+     * @param {number} height - Height at the start of the resize
+     * @param {boolean} [toggled=false] - Whether the lock is inverted (Shift held)
+     * @returns {number|null} Ratio to keep, or null when proportions are free
+     */
+    const resolveAspectRatio = useCallback((width, height, toggled = false) => {
+        const locked = toggled ? !lockAspectRatio : Boolean(lockAspectRatio);
+        if (!locked || !height) return null;
+        return typeof lockAspectRatio === 'number' && lockAspectRatio > 0 ? lockAspectRatio : width / height;
+    }, [lockAspectRatio]);
+
+    /**
+     * Measures the current rect of the window in its coordinate space
+     * @returns {{x: number, y: number, width: number, height: number}} Current rect
+     */
+    const getCurrentRect = useCallback(() => {
+        const width = windowRef.current ? windowRef.current.offsetWidth : 0;
+        const height = windowRef.current ? windowRef.current.offsetHeight : 0;
+        return { ...toPixelPosition(layoutRef.current.position, width, height), width, height };
+    }, [toPixelPosition]);
+
+    /**
+     * Finds the edge snap zone under the pointer and the rect the window would snap to
+     * @param {number} pointerX - Pointer X in the window's coordinate space
+     * @param {number} pointerY - Pointer Y in the window's coordinate space
+     * @returns {null|{zone: string, rect: {x: number, y: number, width: number, height: number}}} Snap target, or null outside every zone
+     */
+    const getSnapZone = useCallback((pointerX, pointerY) => {
+        // Edge zones move the window on both axes and resize it, so they only apply to free, resizable windows
+        if (!snapZonesRef.current || dragAxis !== 'both' || !canResize) return null;
+        const { threshold, left, right, top, corners } = { ...DEFAULT_SNAP_ZONES, ...(typeof snapZonesRef.current === 'object' ? snapZonesRef.current : {}) };
+        const area = getBoundsRect();
+        const nearLeft = pointerX <= area.x + threshold;
+        const nearRight = pointerX >= area.x + area.width - threshold;
+        const nearTop = pointerY <= area.y + threshold;
+        const nearBottom = pointerY >= area.y + area.height - threshold;
+        
+        let zone = null;
+        if (corners && (nearLeft || nearRight) && (nearTop || nearBottom)) zone = `${nearTop ? 'top' : 'bottom'}-${nearLeft ? 'left' : 'right'}`;
+        else if (left && nearLeft) zone = 'left';
+        else if (right && nearRight) zone = 'right';
+        else if (top && nearTop) zone = 'top';
+        if (!zone) return null;
+        
+        // The top edge maximizes; the other zones cover a half or a quarter of the area
+        if (zone === 'top') return { zone, rect: { ...area } };
+        return {
+            zone,
+            rect: constrainRect({
+                x: zone.includes('right') ? area.x + area.width / 2 : area.x,
+                y: zone.startsWith('bottom') ? area.y + area.height / 2 : area.y,
+                width: area.width / 2,
+                height: zone === 'left' || zone === 'right' ? area.height : area.height / 2,
+            }),
+        };
+    }, [dragAxis, canResize, getBoundsRect, constrainRect]);
+
+    /**
+     * Commits the latest interaction rect to position (and size while resizing) state
+     * @param {{type: string, lastRect: Object}} interaction - Current interaction state
+     */
+    const commitInteractionRect = useCallback((interaction) => {
+        const layout = toLayoutRect(interaction.lastRect);
+        if (interaction.type.startsWith('resize')) setSize(layout.size);
+        setPosition(layout.position);
+        interaction.pendingCommit = false;
+        interaction.committedAt = Date.now();
+    }, [setPosition, setSize, toLayoutRect]);
+
+    /**
+     * Writes the latest interaction rect straight to the DOM on the next animation frame, coalescing pointer moves.
+     * React state is only updated when the throttle interval of a numeric `deferRendering` has elapsed.
+     */
+    const scheduleInteractionFrame = useCallback(() => {
+        if (interactionFrameRef.current) return;
+        interactionFrameRef.current = requestAnimationFrame(() => {
+            interactionFrameRef.current = null;
+            const interaction = interactionRef.current;
+            const element = windowRef.current;
+            if (!interaction || !element) return;
+            const { x: nextX, y: nextY, width, height } = interaction.lastRect;
+            element.style.transform = `translate(${nextX}px, ${nextY}px)`;
+            interaction.wroteStyle = true;
+            if (interaction.type !== 'drag') {
+                element.style.width = `${width}px`;
+                element.style.height = `${height}px`;
+            }
+            if (typeof deferRendering === 'number' && Date.now() - (interaction.committedAt || 0) >= deferRendering) commitInteractionRect(interaction);
+        });
+    }, [deferRendering, commitInteractionRect]);
+
+    // ===================== EVENT HANDLERS =====================
+    /**
+     * Initiates interaction (drag or resize) when a pointer goes down on a drag area or resize handle
+     * @param {PointerEvent} e - The initiating event
+     * @param {string} type - Type of interaction ('drag', 'resize-*')
+     * @param {Element} [captureElement=e.currentTarget] - Element that captures the pointer for the rest of the gesture
+     */
+    const handleInteractionStart = useCallback((e, type, captureElement = e.currentTarget) => {
+        const { clientX, clientY, target, pointerId, pointerType } = e;
+        
+        // One pointer drives the window at a time, so a second finger cannot hijack the gesture
+        if (interactionRef.current) return;
+        if (pointerType === 'mouse' && e.button !== 0) return;
+        
+        // Pinned windows never start an interaction
+        if (type === 'drag' ? !canDrag : !canResize) return;
+        
+        if (type === 'drag') {
+            // Only start dragging from the designated handle, and never from cancel regions
+            if (!isDragHandleTarget(target)) return;
+            if (dragCancel && target.closest(dragCancel)) return;
+            
+            // Prevent dragging on interactive elements
+            const interactiveTags = ['INPUT', 'TEXTAREA', 'BUTTON', 'SELECT', 'A'];
+            if (interactiveTags.includes(target.tagName) || target.isContentEditable || target.closest('a[href], button')) return;
+        }
+        
+        
+        // Only normal windows can be resized, and fullscreen windows cannot move
+        if (windowState === 'fullscreen' || (type !== 'drag' && windowState !== 'normal')) return;
+        
+        if (!windowRef.current) return;
+        // Read from the ref so the handler, and the memoized title bar props built on it, stay stable while the window moves
+        const { position, size } = layoutRef.current;
+        const { offsetWidth, offsetHeight } = windowRef.current;
+        const current = toPixelPosition(position, offsetWidth, offsetHeight);
+        
+        const interaction = { 
+            type, 
+            pointerId, 
+            pointerType, 
+            startX: clientX, 
+            startY: clientY, 
+            initialWidth: offsetWidth, 
+            initialHeight: offsetHeight, 
+            initialX: current.x, 
+            initialY: current.y,
+            initialSize: size,
+            lastRect: { x: current.x, y: current.y, width: offsetWidth, height: offsetHeight }
+        };
+        
+        // Dragging a maximized or edge-snapped window restores its previous size under the pointer on the first movement
+        const restoreFrom = type !== 'drag' ? null : (windowState === 'maximized' ? 'maximized' : (preSnapRef.current ? 'snapped' : null));
+        if (restoreFrom) {
+            const startRect = restoreFrom === 'maximized' ? getMaximizedRect() : current;
+            const restoreSize = restoreFrom === 'maximized'
+                ? (restoreSizeRef.current || { width: offsetWidth / 2, height: offsetHeight / 2 })
+                : preSnapRef.current;
+            const pointerOffsetX = clientX - windowRef.current.getBoundingClientRect().left;
+            interaction.initialX = startRect.x + pointerOffsetX * (1 - restoreSize.width / offsetWidth);
+            interaction.initialY = startRect.y;
+            interaction.initialWidth = restoreSize.width;
+            interaction.initialHeight = restoreSize.height;
+            if (restoreFrom === 'snapped') interaction.initialSize = preSnapRef.current.size;
+            interaction.restoreOnMove = restoreFrom;
+            interaction.lastRect = { x: startRect.x, y: startRect.y, width: offsetWidth, height: offsetHeight };
+        }
+        
+        // Pointer-to-window coordinate offset, used to locate edge snap zones
+        const clientRect = windowRef.current.getBoundingClientRect();
+        interaction.originX = clientRect.left - interaction.lastRect.x;
+        interaction.originY = clientRect.top - interaction.lastRect.y;
+        
+        // Sibling windows of the snap group, converted to this window's coordinate space
+        if (snapGroup) {
+            interaction.magnetRects = getWindowsInGroup(snapGroup, windowRef.current)
+                .map(({ rect }) => ({ ...rect, x: rect.x - interaction.originX, y: rect.y - interaction.originY }));
+        }
+        
+        // Allow onDragStart / onResizeStart to cancel the interaction
+        if (emitInteractionEvent('Start', interaction, createInteractionEvent(interaction, interaction.lastRect, e)) === false) return;
+        
+        e.preventDefault();
+        e.stopPropagation();
+        
+        // Keep receiving this pointer's events even when it leaves the window or the browser
+        try {
+            if (captureElement) captureElement.setPointerCapture(pointerId);
+        } catch {
+            // The pointer may already be gone when a touch hold fires late
+        }
+        
+        // Resizing a snapped window keeps the new size
+        if (type !== 'drag') preSnapRef.current = null;
+        
+        // Store interaction state for movement calculations
+        interactionRef.current = interaction;
+        setIsInteracting(true);
+    }, [toPixelPosition, canDrag, canResize, isDragHandleTarget, dragCancel, windowState, snapGroup, getMaximizedRect]);
+
+    /**
+     * Handles pointer movement during drag or resize operations, ignoring every pointer but the active one
+     * @param {PointerEvent} e - The movement event
+     */
+    const handleInteractionMove = useCallback((e) => {
+        if (!interactionRef.current || e.pointerId !== interactionRef.current.pointerId) return;
+        if (e.cancelable) e.preventDefault();
+        
+        const { clientX, clientY } = e;
+        const dx = clientX - interactionRef.current.startX;
+        const dy = clientY - interactionRef.current.startY;
+        const { type } = interactionRef.current;
+        if (dx || dy) interactionRef.current.moved = true;
+        
+        const { restoreOnMove } = interactionRef.current;
+        if (restoreOnMove === 'maximized') setWindowState('normal');
+        if (restoreOnMove === 'snapped') {
+            setSize(preSnapRef.current.size);
+            preSnapRef.current = null;
+        }
+        interactionRef.current.restoreOnMove = null;
+        
+        if (type !== 'drag') {
+            const { initialWidth, initialHeight } = interactionRef.current;
+            interactionRef.current.aspectRatio = resolveAspectRatio(initialWidth, initialHeight, e.shiftKey);
+        }
+        const rect = computeInteractionRect(interactionRef.current, dx, dy, { snap: !e.altKey });
+        interactionRef.current.lastRect = rect;
+        
+        // Deferred rendering bypasses React until release, except for the move that restores the window
+        if (deferRendering && !restoreOnMove) {
+            interactionRef.current.pendingCommit = true;
+            scheduleInteractionFrame();
+        } else {
+            commitInteractionRect(interactionRef.current);
+        }
+        
+        // Show a preview when the pointer enters an edge snap zone
+        if (type === 'drag') {
+            const snapTarget = getSnapZone(clientX - interactionRef.current.originX, clientY - interactionRef.current.originY);
+            if ((snapTarget && snapTarget.zone) !== (interactionRef.current.snapTarget && interactionRef.current.snapTarget.zone)) setSnapPreview(snapTarget);
+            interactionRef.current.snapTarget = snapTarget;
+        }
+        if (snapGuides && interactionRef.current.magnetRects) {
+            const guides = getAlignmentGuides(rect, interactionRef.current.magnetRects);
+            setAlignmentGuides(prev => (JSON.stringify(prev) === JSON.stringify(guides) ? prev : guides));
+        }
+        emitInteractionEvent('', interactionRef.current, createInteractionEvent(interactionRef.current, interactionRef.current.lastRect, e));
+    }, [computeInteractionRect, resolveAspectRatio, getSnapZone, setSize, setWindowState, snapGuides, deferRendering, scheduleInteractionFrame, commitInteractionRect]);
+
+    /**
+     * Ends the current interaction and cleans up state when the active pointer is released or cancelled
+     * @param {PointerEvent} [e] - The event that ended the interaction
+     */
+    const handleInteractionEnd = useCallback((e) => {
+        const interaction = interactionRef.current;
+        if (interaction && e && e.pointerId !== interaction.pointerId) return;
+        if (interaction) {
+            // Flush a deferred rect into state before anything else reads it
+            cancelAnimationFrame(interactionFrameRef.current);
+            interactionFrameRef.current = null;
+            if (interaction.pendingCommit) commitInteractionRect(interaction);
+            // React only writes styles that differ from its last render, so undo the direct writes;
+            // a committed rect that changed state is applied by the next render
+            if (interaction.wroteStyle && windowRef.current) Object.assign(windowRef.current.style, renderedStyleRef.current);
+            
+            // Dropping inside an edge snap zone applies its rect, remembering the size to restore
+            if (interaction.snapTarget) {
+                const { zone, rect } = interaction.snapTarget;
+                if (zone === 'top') {
+                    setWindowState('maximized');
+                } else {
+                    const layout = toLayoutRect(rect);
+                    preSnapRef.current = { width: interaction.initialWidth, height: interaction.initialHeight, size: interaction.initialSize, snappedSize: layout.size };
+                    setSize(layout.size);
+                    setPosition(layout.position);
+                }
+                interaction.lastRect = rect;
+                setSnapPreview(null);
+            }
+            // A press without movement, such as a click on a draggable body, neither stops an interaction nor announces a move
+            if (interaction.moved) {
+                emitInteractionEvent('Stop', interaction, createInteractionEvent(interaction, interaction.lastRect, e));
+                setAnnouncement(describeRect(interaction.type, interaction.lastRect));
+            }
+        }
+        clearTimeout(dragHoldTimerRef.current);
+        dragHoldPointerRef.current = null;
+        interactionRef.current = null;
+        setAlignmentGuides([]);
+        setIsInteracting(false);
+    }, [setPosition, setSize, setWindowState, commitInteractionRect, toLayoutRect]);
+
+    /**
+     * Cancels touch drag hold timer
+     * @param {PointerEvent} [e] - Pointer event; only the held pointer cancels the hold
+     */
+    const cancelDragHold = useCallback((e) => {
+        if (e && dragHoldPointerRef.current && e.pointerId !== dragHoldPointerRef.current.pointerId) return;
+        clearTimeout(dragHoldTimerRef.current);
+        dragHoldPointerRef.current = null;
+    }, []);
+
+    /**
+     * Starts a drag on pointer down; touch pointers must be held still for a moment so content can still be scrolled
+     * @param {PointerEvent} e - Pointer down event
+     */
+    const handleDragPointerDown = useCallback((e) => {
+        if (!canDrag) return;
+        if (e.pointerType !== 'touch') {
+            handleInteractionStart(e, 'drag');
+            return;
+        }
+        if (interactionRef.current || dragHoldPointerRef.current) return;
+        const captureElement = e.currentTarget;
+        dragHoldPointerRef.current = { pointerId: e.pointerId, x: e.clientX, y: e.clientY };
+        dragHoldTimerRef.current = setTimeout(() => {
+            dragHoldPointerRef.current = null;
+            handleInteractionStart(e, 'drag', captureElement);
+        }, 200);
+    }, [canDrag, handleInteractionStart]);
+
+    /**
+     * Handles touch movement to detect accidental drags and cancel hold timer
+     * @param {PointerEvent} e - Pointer move event
+     */
+    const handleDragPointerMove = useCallback((e) => {
+        const held = dragHoldPointerRef.current;
+        if (!held || e.pointerId !== held.pointerId) return;
+        const MOVEMENT_THRESHOLD = 10;
+        const dx = Math.abs(e.clientX - held.x);
+        const dy = Math.abs(e.clientY - held.y);
+        if (dx > MOVEMENT_THRESHOLD || dy > MOVEMENT_THRESHOLD) {
+            cancelDragHold();
+        }
+    }, [cancelDragHold]);
+
+    /**
+     * Moves or resizes the window by one keyboard step, remembering the starting rect for Escape
+     * @param {string} type - Interaction type ('drag', 'resize-*')
+     * @param {number} dx - Horizontal direction (-1, 0 or 1)
+     * @param {number} dy - Vertical direction (-1, 0 or 1)
+     */
+    const applyKeyboardStep = useCallback((type, dx, dy) => {
+        if (!keyboardStartRef.current) keyboardStartRef.current = { ...layoutRef.current };
+        const current = getCurrentRect();
+        const interaction = { type, initialX: current.x, initialY: current.y, initialWidth: current.width, initialHeight: current.height };
+        if (type !== 'drag') interaction.aspectRatio = resolveAspectRatio(current.width, current.height);
+        // With a grid, each key press moves or resizes by one grid cell
+        const stepX = (type === 'drag' ? dragGridX : resizeGridX) || keyboardStep;
+        const stepY = (type === 'drag' ? dragGridY : resizeGridY) || keyboardStep;
+        const rect = computeInteractionRect(interaction, dx * stepX, dy * stepY);
+        const layout = toLayoutRect(rect);
+        if (type !== 'drag') setSize(layout.size);
+        setPosition(layout.position);
+        setAnnouncement(describeRect(type, rect));
+    }, [getCurrentRect, computeInteractionRect, toLayoutRect, resolveAspectRatio, keyboardStep, dragGridX, dragGridY, resizeGridX, resizeGridY, setPosition, setSize]);
+
+    /**
+     * Restores the rect the window had before the current keyboard move / resize
+     * @returns {boolean} True when there was a keyboard interaction to cancel
+     */
+    const cancelKeyboardInteraction = useCallback(() => {
+        if (!keyboardStartRef.current) return false;
+        const { position: startPosition, size: startSize } = keyboardStartRef.current;
+        keyboardStartRef.current = null;
+        setSize(startSize);
+        setPosition(startPosition);
+        // The stored position may use responsive units or a right/bottom anchor, so announce it in pixels
+        const startPixelSize = toPixelSize(startSize);
+        const restored = toPixelPosition(
+            startPosition,
+            startPixelSize.width ?? windowRef.current.offsetWidth,
+            startPixelSize.height ?? windowRef.current.offsetHeight
+        );
+        setAnnouncement(`Window returned to ${Math.round(restored.x)}, ${Math.round(restored.y)}`);
+        return true;
+    }, [setPosition, setSize, toPixelSize, toPixelPosition]);
+
+    /**
+     * Keyboard mode for the title bar (or the window itself without one):
+     * arrow keys move along the drag axis, Shift + arrow keys resize along the enabled axes, Escape restores the original rect
+     * @param {KeyboardEvent} e - Key down event
+     */
+    const handleWindowKeyDown = useCallback((e) => {
+        if (e.target !== e.currentTarget) return;
+        if (e.key === 'Escape') {
+            if (cancelKeyboardInteraction()) { e.preventDefault(); e.stopPropagation(); }
+            return;
+        }
+        const delta = ARROW_KEY_DELTAS[e.key];
+        if (!delta || (windowState !== 'normal' && (e.shiftKey || windowState !== 'minimized'))) return;
+        const dx = (e.shiftKey ? canKeyboardResizeWidth : canDrag && dragAxis !== 'y') ? delta[0] : 0;
+        const dy = (e.shiftKey ? canKeyboardResizeHeight : canDrag && dragAxis !== 'x') ? delta[1] : 0;
+        if (!dx && !dy) return;
+        e.preventDefault();
+        applyKeyboardStep(e.shiftKey ? 'resize-bottom-right' : 'drag', dx, dy);
+    }, [windowState, canDrag, dragAxis, canKeyboardResizeWidth, canKeyboardResizeHeight, applyKeyboardStep, cancelKeyboardInteraction]);
+
+    /**
+     * Keyboard resizing from a focused resize handle; only the axes the handle controls respond
+     * @param {KeyboardEvent} e - Key down event
+     * @param {string} type - Handle type ('resize-*')
+     */
+    const handleResizeHandleKeyDown = useCallback((e, type) => {
+        if (e.key === 'Escape') {
+            if (cancelKeyboardInteraction()) { e.preventDefault(); e.stopPropagation(); }
+            return;
+        }
+        const delta = ARROW_KEY_DELTAS[e.key];
+        if (!delta) return;
+        const dx = type.includes('left') || type.includes('right') ? delta[0] : 0;
+        const dy = type.includes('top') || type.includes('bottom') ? delta[1] : 0;
+        if (!dx && !dy) return;
+        e.preventDefault();
+        applyKeyboardStep(type, dx, dy);
+    }, [applyKeyboardStep, cancelKeyboardInteraction]);
+
+    /**
+     * Ends the keyboard interaction when focus leaves its element, keeping the new rect
+     */
+    const handleKeyboardBlur = useCallback(() => {
+        keyboardStartRef.current = null;
+    }, []);
+
+    /**
+     * Raises the window to the top of the stack when it belongs to a window manager
+     */
+    const handleBringToFront = useCallback(() => {
+        if (windowManager) windowManager.bringToFront(windowId);
+    }, [windowManager, windowId]);
+
+    // ===================== EFFECTS =====================
+    const registerWindow = windowManager?.registerWindow;
+    const unregisterWindow = windowManager?.unregisterWindow;
+
+    /**
+     * Registers the window with the window manager for the lifetime of the component
+     */
+    useEffect(() => {
+        if (!registerWindow) return undefined;
+        registerWindow(windowId);
+        return () => unregisterWindow(windowId);
+    }, [registerWindow, unregisterWindow, windowId]);
+
+    /**
+     * Adds the window to the shared registry so sibling windows can measure it; registered before paint so windows
+     * mounted in the same render are already visible to each other's initial placement
+     */
+    useLayoutEffect(() => {
+        if (!windowRef.current) return undefined;
+        return registerWindowElement(windowRef.current, { id: windowId, group: snapGroup });
+    }, [windowId, snapGroup]);
+
+    const registerWorkspaceWindow = workspace?.registerWindow;
+
+    /**
+     * Registers the window with the surrounding Workspace so it can be exported and imported in layouts
+     */
+    useEffect(() => {
+        if (!registerWorkspaceWindow) return undefined;
+        return registerWorkspaceWindow(windowId, workspaceWindowRef);
+    }, [registerWorkspaceWindow, windowId]);
+
+    /**
+     * Forgets the size to restore after a snap once the window is resized in any other way,
+     * e.g. from the keyboard, the ref API, a workspace layout or a controlled `size`
+     */
+    useEffect(() => {
+        const preSnap = preSnapRef.current;
+        if (preSnap && (size.w !== preSnap.snappedSize.w || size.h !== preSnap.snappedSize.h)) preSnapRef.current = null;
+    }, [size.w, size.h]);
+
+    /**
+     * Cancels a pending layout transition, window animation and deferred interaction frame on unmount
+     */
+    useEffect(() => () => {
+        clearTimeout(layoutTransitionTimerRef.current);
+        cancelAnimationFrame(interactionFrameRef.current);
+        if (windowAnimationRef.current) windowAnimationRef.current.cancel();
+    }, []);
+
+    /**
+     * Handles viewport resize events to update internal viewport size state
+     */
+    useEffect(() => {
+        const handleResize = () => setViewportSize({ width: window.innerWidth, height: window.innerHeight });
+        window.addEventListener('resize', handleResize);
+        return () => window.removeEventListener('resize', handleResize);
+    }, []);
+
+    /**
+     * Identity of the bounds prop; explicit rects compare by value so inline objects do not re-measure on every render
+     * @constant {*}
+     */
+    const boundsKey = bounds && typeof bounds === 'object' && !('current' in bounds) && bounds.nodeType !== 1
+        ? `${bounds.left},${bounds.top},${bounds.right},${bounds.bottom}`
+        : bounds;
+
+    /**
+     * Bounds element seen after the last commit. Refs to ancestors are attached after this window's layout effects,
+     * so it is tracked here to measure and observe the element once the ref resolves or points elsewhere.
+     * @type {[HTMLElement|null, Function]}
+     */
+    const [resolvedBoundsElement, setResolvedBoundsElement] = useState(null);
+
+    /**
+     * Current target of a bounds ref, read on every render so that pointing the ref elsewhere re-measures
+     * @constant {*}
+     */
+    const boundsRefTarget = bounds && typeof bounds === 'object' && 'current' in bounds ? bounds.current : null;
+
+    /**
+     * Picks up bounds elements that were not available during layout, and ref targets that changed
+     */
+    useEffect(() => {
+        const element = getBoundsElement();
+        setResolvedBoundsElement(prev => (prev === element ? prev : element));
+    }, [boundsKey, boundsRefTarget, getBoundsElement]);
+
+    /**
+     * Measures the bounds before paint and re-measures whenever the viewport or the bounds element resizes.
+     * A hidden window has no client rect to derive its coordinate origin from, so it keeps the last bounds
+     * and measures again when its state changes.
+     */
+    useLayoutEffect(() => {
+        const updateBounds = () => {
+            if (!windowRef.current || !windowRef.current.getClientRects().length) return;
+            const next = measureBounds();
+            setBoundsRect(prev => (prev.x === next.x && prev.y === next.y && prev.width === next.width && prev.height === next.height ? prev : next));
+        };
+        updateBounds();
+        const element = getBoundsElement();
+        if (!element || typeof ResizeObserver === 'undefined') return undefined;
+        const observer = new ResizeObserver(updateBounds);
+        observer.observe(element);
+        return () => observer.disconnect();
+    }, [boundsKey, viewportSize, measureBounds, getBoundsElement, resolvedBoundsElement, windowState, portal]);
+
+    /**
+     * Ensures window stays within bounds and respects size constraints when the bounds or props change
+     */
+    useEffect(() => {
+        if (!windowRef.current || windowState !== 'normal') return;
+        const { offsetWidth, offsetHeight } = windowRef.current;
+        const pixelSize = toPixelSize({ w: size.w, h: size.h });
+        let { x: newX, y: newY } = toPixelPosition({ x: position.x, y: position.y }, offsetWidth, offsetHeight);
+        let newW = size.w, newH = size.h;
+        let posNeedsUpdate = false, sizeNeedsUpdate = false;
+        
+        // Apply maximum size constraints, keeping the unit of responsive sizes
+        if (pixelSize.width !== null && pixelSize.width > effectiveMaxW) { newW = toTemplateUnit(effectiveMaxW, size.w, boundsRect.width, viewportSize); sizeNeedsUpdate = true; }
+        if (pixelSize.height !== null && pixelSize.height > effectiveMaxH) { newH = toTemplateUnit(effectiveMaxH, size.h, boundsRect.height, viewportSize); sizeNeedsUpdate = true; }
+        
+        // Apply boundary constraints
+        if (isBounded) {
+            if (newX < boundsRect.x) { newX = boundsRect.x; posNeedsUpdate = true; }
+            if (newY < boundsRect.y) { newY = boundsRect.y; posNeedsUpdate = true; }
+            if (newX + offsetWidth > boundsRect.x + boundsRect.width) { newX = boundsRect.x + boundsRect.width - offsetWidth; posNeedsUpdate = true; }
+            if (newY + offsetHeight > boundsRect.y + boundsRect.height) { newY = boundsRect.y + boundsRect.height - offsetHeight; posNeedsUpdate = true; }
+        }
+        
+        if (posNeedsUpdate) setPosition(toLayoutRect({ x: newX, y: newY, width: offsetWidth, height: offsetHeight }).position);
+        if (sizeNeedsUpdate) setSize({ w: newW, h: newH });
+    }, [boundsRect, viewportSize, isBounded, effectiveMaxW, effectiveMaxH, size.w, size.h, position.x, position.y, toPixelSize, toPixelPosition, toLayoutRect, setPosition, setSize, windowState]);
 
     /**
-     * Handles mouse/touch movement during drag or resize operations
-     * @param {MouseEvent|TouchEvent} e - The movement event
+     * Whether placement reads the last pointer press; custom placement functions receive it too
+     * @constant {boolean}
      */
-    const handleInteractionMove = useCallback((e) => {
-        if (!interactionRef.current) return;
-        if (e.cancelable) e.preventDefault();
+    const needsPointerPosition = placement === 'near-pointer' || typeof placement === 'function';
+
+    /**
+     * Computes the initial rect for the `placement` prop and commits it.
+     * The transform is also written to the DOM right away, so windows mounted in the same render measure each other where they will be painted.
+     */
+    const applyPlacement = useCallback(() => {
+        if (!placement || !windowRef.current) return;
+        const element = windowRef.current;
+        const origin = getCoordinateOrigin();
+        const area = measureBounds();
+        const lastPointer = needsPointerPosition ? consumeLastPointerPosition() : null;
+        const context = {
+            width: element.offsetWidth,
+            height: element.offsetHeight,
+            bounds: area,
+            // Only windows sharing this window's coordinate space take part
+            windows: getMountedWindows(element)
+                .filter(entry => entry.element.offsetParent === element.offsetParent)
+                .map(({ id, rect }) => ({ id, ...rect, x: rect.x - origin.x, y: rect.y - origin.y })),
+            pointer: lastPointer && { x: lastPointer.x - origin.x, y: lastPointer.y - origin.y },
+        };
         
-        const { clientX, clientY } = getEventCoordinates(e);
-        const dx = clientX - interactionRef.current.startX;
-        const dy = clientY - interactionRef.current.startY;
-        const { type, initialX, initialY, initialWidth, initialHeight } = interactionRef.current;
+        const custom = typeof placement === 'function' ? placement(context) : null;
+        if (typeof placement === 'function' && !custom) return;
+        const placed = custom || getPlacementPosition(placement, context);
+        const width = Number.isFinite(placed.width) ? placed.width : context.width;
+        const height = Number.isFinite(placed.height) ? placed.height : context.height;
+        const rect = { x: placed.x, y: placed.y, width, height };
+        if (!custom || isBounded) {
+            rect.x = Math.max(area.x, Math.min(rect.x, area.x + area.width - width));
+            rect.y = Math.max(area.y, Math.min(rect.y, area.y + area.height - height));
+        }
         
-        if (type === 'drag') {
-            // Handle window dragging
-            let newX = initialX + dx, newY = initialY + dy;
-            if (boundary) {
-                newX = Math.max(0, Math.min(newX, viewportSize.width - initialWidth));
-                newY = Math.max(0, Math.min(newY, viewportSize.height - initialHeight));
-            }
-            setPosition({ x: newX, y: newY });
-        } else if (type.startsWith('resize')) {
-            // Handle window resizing
-            let newWidth = initialWidth, newHeight = initialHeight, newX = initialX, newY = initialY;
-            
-            // Calculate new dimensions based on resize direction
-            if (type.includes('right')) newWidth = initialWidth + dx;
-            if (type.includes('left')) newWidth = initialWidth - dx;
-            if (type.includes('bottom')) newHeight = initialHeight + dy;
-            if (type.includes('top')) newHeight = initialHeight - dy;
-            
-            // Apply size constraints
-            const effectiveMaxW = maxW === 'viewport' ? viewportSize.width : maxW;
-            const effectiveMaxH = maxH === 'viewport' ? viewportSize.height : maxH;
-            let constrainedW = Math.max(minW, Math.min(newWidth, effectiveMaxW));
-            let constrainedH = Math.max(minH, Math.min(newHeight, effectiveMaxH));
-            
-            // Adjust position for left/top resizing
-            if (type.includes('left')) newX = initialX + (initialWidth - constrainedW);
-            if (type.includes('top')) newY = initialY + (initialHeight - constrainedH);
-            
-            // Apply boundary constraints
-            if (boundary) {
-                if (newX < 0) { constrainedW += newX; newX = 0; }
-                if (newY < 0) { constrainedH += newY; newY = 0; }
-                if (newX + constrainedW > viewportSize.width) { constrainedW = viewportSize.width - newX; }
-                if (newY + constrainedH > viewportSize.height) { constrainedH = viewportSize.height - newY; }
-                constrainedW = Math.max(minW, constrainedW);
-                constrainedH = Math.max(minH, constrainedH);
-            }
-            
-            setSize({ w: constrainedW, h: constrainedH });
-            setPosition({ x: newX, y: newY });
+        const layout = toLayoutRect(rect, layoutRef.current, area);
+        if (custom && (Number.isFinite(placed.width) || Number.isFinite(placed.height))) {
+            setSize({
+                w: Number.isFinite(placed.width) ? layout.size.w : layoutRef.current.size.w,
+                h: Number.isFinite(placed.height) ? layout.size.h : layoutRef.current.size.h,
+            });
+            element.style.width = `${width}px`;
+            element.style.height = `${height}px`;
         }
-    }, [minW, minH, maxW, maxH, viewportSize, boundary]);
+        setPosition(layout.position);
+        element.style.transform = `translate(${rect.x}px, ${rect.y}px)`;
+        renderedOffsetRef.current = { x: rect.x, y: rect.y, fromRight: false, fromBottom: false };
+    }, [placement, needsPointerPosition, isBounded, getCoordinateOrigin, measureBounds, toLayoutRect, setPosition, setSize]);
 
     /**
-     * Ends the current interaction and cleans up state
+     * Latest placement function, so that placement only runs when the window mounts
+     * @type {React.MutableRefObject<Function>}
      */
-    const handleInteractionEnd = useCallback(() => {
-        clearTimeout(dragHoldTimerRef.current);
-        touchStartCoordsRef.current = null;
-        interactionRef.current = null;
-        setIsInteracting(false);
-    }, []);
+    const applyPlacementRef = useRef(applyPlacement);
+    applyPlacementRef.current = applyPlacement;
 
     /**
-     * Cancels touch drag hold timer
+     * Tracks pointer presses while this window may need them, so later windows open where the user clicked
      */
-    const cancelDragHold = useCallback(() => {
-        clearTimeout(dragHoldTimerRef.current);
-        touchStartCoordsRef.current = null;
+    useEffect(() => {
+        if (!needsPointerPosition) return undefined;
+        return trackPointerPresses();
+    }, [needsPointerPosition]);
+
+    /**
+     * Places the window once, before the first paint, from its measured content size, the bounds and the other mounted windows
+     */
+    useLayoutEffect(() => {
+        applyPlacementRef.current();
     }, []);
 
     /**
-     * Handles touch start for drag operations with hold delay
-     * @param {TouchEvent} e - Touch start event
+     * Applies a persisted layout after migrating it and validating it against the current bounds
+     * @param {null|{version: number, position: {x: number, y: number}, size: {w: number|string, h: number|string}, windowState: string}} data - Stored layout
+     */
+    const applyPersistedLayout = useCallback((data) => {
+        let layout = data;
+        if (layout && layout.version !== persistVersion) {
+            const { migrateLayout: migrate } = persistOptionsRef.current;
+            layout = migrate ? migrate(layout, layout.version) : null;
+        }
+        if (!layout || !layout.position || !layout.size || !windowRef.current) return;
+        
+        const { x: storedX, y: storedY } = layout.position;
+        const { w: storedW, h: storedH } = layout.size;
+        const isValidSize = (value) => (typeof value === 'number' ? Number.isFinite(value) && value > 0 : typeof value === 'string' && value !== '');
+        const isValidOffset = (value) => (typeof value === 'number' ? Number.isFinite(value) : toPixels(value, 0, viewportSize) !== null);
+        if (!isValidOffset(storedX) || !isValidOffset(storedY) || !isValidSize(storedW) || !isValidSize(storedH)) return;
+        
+        // Pixel layouts saved on a larger screen are shrunk and pulled back inside the current bounds;
+        // responsive units already follow the screen and keep their unit
+        const area = measureBounds();
+        const storedPixelSize = toPixelSize(layout.size, area);
+        const width = typeof storedW === 'number' ? Math.max(minW, Math.min(storedW, effectiveMaxW, area.width)) : storedW;
+        const height = typeof storedH === 'number' ? Math.max(minH, Math.min(storedH, effectiveMaxH, area.height)) : storedH;
+        const measuredW = typeof width === 'number' ? width : storedPixelSize.width ?? windowRef.current.offsetWidth;
+        const measuredH = typeof height === 'number' ? height : storedPixelSize.height ?? windowRef.current.offsetHeight;
+        const storedPosition = toPixelPosition(layout.position, measuredW, measuredH, area);
+        const clamped = {
+            x: Math.max(area.x, Math.min(storedPosition.x, area.x + area.width - measuredW)),
+            y: Math.max(area.y, Math.min(storedPosition.y, area.y + area.height - measuredH)),
+            width: measuredW,
+            height: measuredH,
+        };
+        setSize({ w: width, h: height });
+        setPosition(toLayoutRect(clamped, layout, area).position);
+        
+        if (RESTORABLE_WINDOW_STATES.includes(layout.windowState) && layout.windowState !== windowStateRef.current) {
+            setWindowState(layout.windowState);
+            if (typeof width === 'number' && typeof height === 'number') restoreSizeRef.current = { width, height };
+        }
+    }, [persistVersion, measureBounds, viewportSize, minW, minH, effectiveMaxW, effectiveMaxH, toPixelSize, toPixelPosition, toLayoutRect, setPosition, setSize, setWindowState]);
+
+    /**
+     * Latest layout restorer, so that restoring only re-runs when the persist key changes
+     * @type {React.MutableRefObject<Function>}
      */
-    const handleDragTouchStart = useCallback((e) => {
-        touchStartCoordsRef.current = { x: e.touches[0].clientX, y: e.touches[0].clientY };
-        dragHoldTimerRef.current = setTimeout(() => handleInteractionStart(e, 'drag'), 200);
-    }, [handleInteractionStart]);
+    const applyPersistedLayoutRef = useRef(applyPersistedLayout);
+    applyPersistedLayoutRef.current = applyPersistedLayout;
 
     /**
-     * Handles touch movement to detect accidental drags and cancel hold timer
-     * @param {TouchEvent} e - Touch move event
+     * Loads the persisted layout before the first paint; asynchronous adapters keep the window hidden until they resolve
      */
-    const handleDragTouchMove = useCallback((e) => {
-        if (!touchStartCoordsRef.current) return;
-        const MOVEMENT_THRESHOLD = 10;
-        const dx = Math.abs(e.touches[0].clientX - touchStartCoordsRef.current.x);
-        const dy = Math.abs(e.touches[0].clientY - touchStartCoordsRef.current.y);
-        if (dx > MOVEMENT_THRESHOLD || dy > MOVEMENT_THRESHOLD) {
-            cancelDragHold();
+    useLayoutEffect(() => {
+        if (persistKey == null) return undefined;
+        let cancelled = false;
+        const finishRestore = (data) => {
+            if (cancelled) return;
+            applyPersistedLayoutRef.current(data);
+            setRestoredPersistKey(persistKey);
+        };
+        
+        let result = null;
+        try {
+            result = resolveStorageAdapter(persistOptionsRef.current.persistStorage).load(`${PERSIST_KEY_PREFIX}${persistKey}`);
+        } catch {
+            result = null;
         }
-    }, [cancelDragHold]);
-    // ===================== EFFECTS =====================
+        if (result && typeof result.then === 'function') result.then(finishRestore, () => finishRestore(null));
+        else finishRestore(result);
+        return () => { cancelled = true; };
+    }, [persistKey]);
+
     /**
-     * Handles viewport resize events to update internal viewport size state
+     * Saves the layout whenever position, size or window state settle, skipping intermediate drag and resize moves
      */
     useEffect(() => {
-        const handleResize = () => setViewportSize({ width: window.innerWidth, height: window.innerHeight });
-        window.addEventListener('resize', handleResize);
-        return () => window.removeEventListener('resize', handleResize);
-    }, []);
+        if (persistKey == null || restoredPersistKey !== persistKey || isInteracting) return;
+        const layout = {
+            version: persistVersion,
+            position: { x: position.x, y: position.y },
+            size: { w: size.w, h: size.h },
+            windowState: windowState === 'fullscreen' ? preFullscreenStateRef.current : windowState,
+        };
+        try {
+            const result = resolveStorageAdapter(persistOptionsRef.current.persistStorage).save(`${PERSIST_KEY_PREFIX}${persistKey}`, layout);
+            if (result && typeof result.catch === 'function') result.catch(() => {});
+        } catch {
+            // A failing storage backend must never break the window
+        }
+    }, [persistKey, restoredPersistKey, persistVersion, isInteracting, position.x, position.y, size.w, size.h, windowState]);
 
     /**
-     * Ensures window stays within bounds and respects size constraints when viewport or props change
+     * Enters or leaves browser fullscreen to match the fullscreen window state
      */
     useEffect(() => {
-        if (!windowRef.current) return;
-        const { offsetWidth, offsetHeight } = windowRef.current;
-        let newX = position.x, newY = position.y, newW = size.w, newH = size.h;
-        let posNeedsUpdate = false, sizeNeedsUpdate = false;
-        
-        // Apply maximum size constraints
-        const effectiveMaxW = maxW === 'viewport' ? viewportSize.width : maxW;
-        const effectiveMaxH = maxH === 'viewport' ? viewportSize.height : maxH;
-        if (typeof newW === 'number' && newW > effectiveMaxW) { newW = effectiveMaxW; sizeNeedsUpdate = true; }
-        if (typeof newH === 'number' && newH > effectiveMaxH) { newH = effectiveMaxH; sizeNeedsUpdate = true; }
-        
-        // Apply boundary constraints
-        if (boundary) {
-            if (newX < 0) { newX = 0; posNeedsUpdate = true; }
-            if (newY < 0) { newY = 0; posNeedsUpdate = true; }
-            if (newX + offsetWidth > viewportSize.width) { newX = viewportSize.width - offsetWidth; posNeedsUpdate = true; }
-            if (newY + offsetHeight > viewportSize.height) { newY = viewportSize.height - offsetHeight; posNeedsUpdate = true; }
+        const element = windowRef.current;
+        if (!element || typeof document === 'undefined') return;
+        const fullscreenElement = document.fullscreenElement || document.webkitFullscreenElement;
+        if (windowState === 'fullscreen' && fullscreenElement !== element) {
+            const requestFullscreen = element.requestFullscreen || element.webkitRequestFullscreen;
+            if (!requestFullscreen) { setWindowState(preFullscreenStateRef.current); return; }
+            Promise.resolve(requestFullscreen.call(element)).catch(() => setWindowState(preFullscreenStateRef.current));
+        } else if (windowState !== 'fullscreen' && fullscreenElement === element) {
+            const exitFullscreen = document.exitFullscreen || document.webkitExitFullscreen;
+            if (exitFullscreen) Promise.resolve(exitFullscreen.call(document)).catch(() => {});
         }
-        
-        if (posNeedsUpdate) setPosition({ x: newX, y: newY });
-        if (sizeNeedsUpdate) setSize({ w: newW, h: newH });
-    }, [viewportSize, boundary, maxW, maxH, size.w, size.h, position.x, position.y]);
+    }, [windowState, setWindowState]);
 
     /**
-     * Manages global event listeners for interaction handling
+     * Returns to the previous window state when the user leaves fullscreen through the browser (e.g. Escape)
      */
     useEffect(() => {
-        if (isInteracting) {
-            window.addEventListener('mousemove', handleInteractionMove);
-            window.addEventListener('mouseup', handleInteractionEnd);
-            window.addEventListener('mouseleave', handleInteractionEnd);
-            window.addEventListener('touchmove', handleInteractionMove, { passive: false });
-            window.addEventListener('touchend', handleInteractionEnd);
+        if (typeof document === 'undefined') return undefined;
+        const handleFullscreenChange = () => {
+            const fullscreenElement = document.fullscreenElement || document.webkitFullscreenElement;
+            if (windowStateRef.current === 'fullscreen' && fullscreenElement !== windowRef.current) {
+                setWindowState(preFullscreenStateRef.current);
+            }
+        };
+        document.addEventListener('fullscreenchange', handleFullscreenChange);
+        document.addEventListener('webkitfullscreenchange', handleFullscreenChange);
+        return () => {
+            document.removeEventListener('fullscreenchange', handleFullscreenChange);
+            document.removeEventListener('webkitfullscreenchange', handleFullscreenChange);
+        };
+    }, [setWindowState]);
+
+    /**
+     * Plays the enter animation once the window is placed and visible, and the exit animation when `open` turns off.
+     * Reopening during the exit animation starts the enter animation again.
+     */
+    useLayoutEffect(() => {
+        const element = windowRef.current;
+        if (!element || isRestoring || (open && hasEnteredRef.current && !windowAnimationRef.current)) return;
+        hasEnteredRef.current = true;
+        if (windowAnimationRef.current) windowAnimationRef.current.cancel();
+        windowAnimationRef.current = null;
+
+        const { animation: type, animationDuration: duration, animationOrigin: origin, onExitComplete: onComplete } = animationOptionsRef.current;
+        const keyframes = typeof element.animate === 'function' && !prefersReducedMotion() ? getWindowAnimationKeyframes(type, element, origin) : null;
+        if (!keyframes) {
+            if (!open && onComplete) onComplete();
+            return;
         }
+        // The exit animation holds its last frame so the window does not flash back before it unmounts
+        const running = element.animate(open ? keyframes : [...keyframes].reverse(), {
+            duration,
+            easing: open ? 'ease-out' : 'ease-in',
+            fill: open ? 'none' : 'forwards',
+        });
+        windowAnimationRef.current = running;
+        running.onfinish = () => {
+            windowAnimationRef.current = null;
+            if (!open && animationOptionsRef.current.onExitComplete) animationOptionsRef.current.onExitComplete();
+        };
+    }, [open, isRestoring]);
+
+    /**
+     * Manages global pointer listeners while interacting. Captured pointer events bubble up to the window,
+     * and touch scrolling is blocked for the duration of the gesture.
+     */
+    useEffect(() => {
+        if (!isInteracting) return undefined;
+        const preventTouchScroll = (e) => { if (e.cancelable) e.preventDefault(); };
+        window.addEventListener('pointermove', handleInteractionMove);
+        window.addEventListener('pointerup', handleInteractionEnd);
+        window.addEventListener('pointercancel', handleInteractionEnd);
+        window.addEventListener('touchmove', preventTouchScroll, { passive: false });
         return () => {
-            window.removeEventListener('mousemove', handleInteractionMove);
-            window.removeEventListener('mouseup', handleInteractionEnd);
-            window.removeEventListener('mouseleave', handleInteractionEnd);
-            window.removeEventListener('touchmove', handleInteractionMove);
-            window.removeEventListener('touchend', handleInteractionEnd);
+            window.removeEventListener('pointermove', handleInteractionMove);
+            window.removeEventListener('pointerup', handleInteractionEnd);
+            window.removeEventListener('pointercancel', handleInteractionEnd);
+            window.removeEventListener('touchmove', preventTouchScroll);
         };
     }, [isInteracting, handleInteractionMove, handleInteractionEnd]);
 
+    // ===================== IMPERATIVE API =====================
+    /**
+     * Commits a rect through the constraint logic, only touching position or size when they change
+     * @param {{x: number, y: number, width: number, height: number}} rect - Requested rect
+     * @param {boolean} resize - Whether the size should be committed as well
+     * @param {number} [duration=0] - Transition duration in milliseconds; 0 jumps to the rect
+     * @returns {{x: number, y: number, width: number, height: number}} The committed rect
+     */
+    const applyRect = useCallback((rect, resize, duration = 0) => {
+        const next = constrainRect(rect);
+        const layout = toLayoutRect(next);
+        startLayoutTransition(duration);
+        if (resize) setSize(layout.size);
+        if (layout.position.x !== position.x || layout.position.y !== position.y) setPosition(layout.position);
+        return next;
+    }, [constrainRect, toLayoutRect, startLayoutTransition, setPosition, setSize, position.x, position.y]);
+
+    workspaceWindowRef.current = {
+        /**
+         * Describes the window for a workspace layout, using the restore rect while maximized or minimized
+         * @returns {{rect: {x: number, y: number, width: number, height: number}, windowState: string, group: string|null}} Layout entry
+         */
+        getLayout: () => {
+            const currentState = windowStateRef.current;
+            const { width, height } = currentState !== 'normal' && restoreSizeRef.current ? restoreSizeRef.current : getCurrentRect();
+            return {
+                rect: { ...toPixelPosition(position, width, height), width, height },
+                windowState: currentState === 'fullscreen' ? preFullscreenStateRef.current : currentState,
+                group: snapGroup ?? null,
+            };
+        },
+        /**
+         * Moves the window into a workspace layout entry
+         * @param {{rect?: Object, windowState?: string}} entry - Layout entry
+         * @param {{animate: boolean, duration: number}} options - Whether to animate into place
+         */
+        applyLayout: ({ rect, windowState: nextState }, { animate, duration }) => {
+            if (animate) startLayoutTransition(duration);
+            const isValidRect = rect && [rect.x, rect.y, rect.width, rect.height].every(Number.isFinite);
+            const applied = isValidRect ? applyRect(rect, true) : null;
+            if (RESTORABLE_WINDOW_STATES.includes(nextState)) {
+                setWindowState(nextState);
+                if (applied && nextState !== 'normal') restoreSizeRef.current = { width: applied.width, height: applied.height };
+            }
+        },
+    };
+
+    /**
+     * Exposes commands and measurements to parents through a ref
+     */
+    useImperativeHandle(ref, () => ({
+        get element() { return windowRef.current; },
+        moveTo: (nextX, nextY) => applyRect({ ...getCurrentRect(), x: nextX, y: nextY }, false, layoutAnimationMs),
+        moveBy: (dx, dy) => {
+            const rect = getCurrentRect();
+            applyRect({ ...rect, x: rect.x + dx, y: rect.y + dy }, false, layoutAnimationMs);
+        },
+        resizeTo: (width, height) => applyRect({ ...getCurrentRect(), width, height }, true, layoutAnimationMs),
+        center: () => {
+            const area = getBoundsRect();
+            const rect = getCurrentRect();
+            applyRect({ ...rect, x: area.x + (area.width - rect.width) / 2, y: area.y + (area.height - rect.height) / 2 }, false, layoutAnimationMs);
+        },
+        fitToContent: () => {
+            const element = windowRef.current;
+            if (!element) return;
+            // Let the window shrink-wrap its content for one synchronous measurement
+            const { width, height } = element.style;
+            element.style.width = 'max-content';
+            element.style.height = 'auto';
+            const fitted = { width: element.offsetWidth, height: element.offsetHeight };
+            element.style.width = width;
+            element.style.height = height;
+            applyRect({ ...getCurrentRect(), ...fitted }, true, layoutAnimationMs);
+        },
+        minimize: () => changeWindowState('minimized'),
+        maximize: () => changeWindowState('maximized'),
+        restore: () => changeWindowState('normal'),
+        focus: () => {
+            if (windowRef.current) windowRef.current.focus();
+            handleBringToFront();
+        },
+        getRect: () => {
+            const rect = getCurrentRect();
+            if (windowState === 'maximized') return { ...rect, x: getMaximizedRect().x, y: getMaximizedRect().y, windowState };
+            if (windowState === 'fullscreen') return { ...rect, x: 0, y: 0, windowState };
+            return { ...rect, windowState };
+        },
+    }), [applyRect, getBoundsRect, getMaximizedRect, getCurrentRect, changeWindowState, handleBringToFront, windowState, layoutAnimationMs]);
+
     // ===================== STYLING UTILITIES =====================
     /**
      * Converts various size formats to CSS-compatible values
@@ -329,24 +2053,6 @@ function WindowComponent({
      */
     const formatCssSize = (v) => (typeof v === 'number' ? `${v}px` : (v === 'full' ? '100%' : v));
     
-    /**
-     * Tailwind-compatible color mapping with RGB values
-     * @constant {Object.<string, string>}
-     */
-    const colorMap = {'red-50': '254 242 242', 'red-100': '254 226 226', 'red-200': '252 165 165', 'red-300': '248 113 113', 'red-400': '239 68 68', 'red-500': '239 68 68', 'red-600': '220 38 38', 'red-700': '185 28 28', 'red-800': '153 27 27', 'red-900': '127 29 29', 'blue-50': '239 246 255', 'blue-100': '219 234 254', 'blue-200': '191 219 254', 'blue-300': '147 197 253', 'blue-400': '96 165 250', 'blue-500': '59 130 246', 'blue-600': '37 99 235', 'blue-700': '29 78 216', 'blue-800': '30 64 175', 'blue-900': '30 58 138', 'green-50': '240 253 244', 'green-100': '220 252 231', 'green-200': '187 247 208', 'green-300': '134 239 172', 'green-400': '74 222 128', 'green-500': '34 197 94', 'green-600': '22 163 74', 'green-700': '21 128 61', 'green-800': '22 101 52', 'green-900': '20 83 45', 'yellow-50': '254 252 232', 'yellow-100': '254 249 195', 'yellow-200': '254 240 138', 'yellow-300': '253 224 71', 'yellow-400': '250 204 21', 'yellow-500': '234 179 8', 'yellow-600': '202 138 4', 'yellow-700': '161 98 7', 'yellow-800': '133 77 14', 'yellow-900': '113 63 18', 'purple-50': '250 245 255', 'purple-100': '243 232 255', 'purple-200': '233 213 255', 'purple-300': '196 181 253', 'purple-400': '167 139 250', 'purple-500': '139 92 246', 'purple-600': '124 58 237', 'purple-700': '109 40 217', 'purple-800': '91 33 182', 'purple-900': '76 29 149', 'pink-50': '253 242 248', 'pink-100': '252 231 243', 'pink-200': '251 207 232', 'pink-300': '249 168 212', 'pink-400': '244 114 182', 'pink-500': '236 72 153', 'pink-600': '219 39 119', 'pink-700': '190 24 93', 'pink-800': '157 23 77', 'pink-900': '131 24 67', 'indigo-50': '238 242 255', 'indigo-100': '224 231 255', 'indigo-200': '199 210 254', 'indigo-300': '165 180 252', 'indigo-400': '129 140 248', 'indigo-500': '99 102 241', 'indigo-600': '79 70 229', 'indigo-700': '67 56 202', 'indigo-800': '55 48 163', 'indigo-900': '49 46 129', 'gray-50': '249 250 251', 'gray-100': '243 244 246', 'gray-200': '229 231 235', 'gray-300': '209 213 219', 'gray-400': '156 163 175', 'gray-500': '107 114 128', 'gray-600': '75 85 99', 'gray-700': '55 65 81', 'gray-800': '31 41 55', 'gray-900': '17 24 39', 'slate-50': '248 250 252', 'slate-100': '241 245 249', 'slate-200': '226 232 240', 'slate-300': '203 213 225', 'slate-400': '148 163 184', 'slate-500': '100 116 139', 'slate-600': '71 85 105', 'slate-700': '51 65 85', 'slate-800': '30 41 59', 'slate-900': '15 23 42', 'zinc-50': '250 250 250', 'zinc-100': '244 244 245', 'zinc-200': '228 228 231', 'zinc-300': '212 212 216', 'zinc-400': '161 161 170', 'zinc-500': '113 113 122', 'zinc-600': '82 82 91', 'zinc-700': '63 63 70', 'zinc-800': '39 39 42', 'zinc-900': '24 24 27', 'emerald-50': '236 253 245', 'emerald-100': '209 250 229', 'emerald-200': '167 243 208', 'emerald-300': '110 231 183', 'emerald-400': '52 211 153', 'emerald-500': '16 185 129', 'emerald-600': '5 150 105', 'emerald-700': '4 120 87', 'emerald-800': '6 95 70', 'emerald-900': '6 78 59' };
-    
-    /**
-     * Converts Tailwind-style color notation to CSS rgba value
-     * @param {string} c - Color string in format 'color-shade/opacity' (e.g., 'blue-500/90')
-     * @returns {string|undefined} CSS rgba color value or undefined if no color specified
-     */
-    const getColorValue = (c) => { 
-        if (!c) return undefined; 
-        const [n, o = '100'] = c.split('/'); 
-        const rgb = colorMap[n] || '107 114 128'; 
-        return `rgba(${rgb.split(' ').join(', ')}, ${parseInt(o, 10) / 100})`; 
-    };
-    
     /**
      * Tailwind-compatible border radius mapping
      * @constant {Object.<string, string>}
@@ -397,6 +2103,66 @@ function WindowComponent({
         return f.length ? f.join(' ') : undefined; 
     };
     // ===================== COMPUTED STYLES =====================
+    /**
+     * Size resolved against the current bounds and viewport
+     * @constant {{width: number|null, height: number|null}}
+     */
+    const pixelSize = toPixelSize({ w: size.w, h: size.h });
+
+    /**
+     * Size to render: pixels where the unit is known, keywords such as 'auto' and 'full' kept for CSS
+     * @constant {{w: number|string, h: number|string}}
+     */
+    const layoutSize = { w: pixelSize.width ?? size.w, h: windowState === 'minimized' ? 'auto' : pixelSize.height ?? size.h };
+
+    /**
+     * Whether a right or bottom anchor meets a content-sized dimension; the anchored edge is then rendered
+     * and the translate subtracts the window's own width or height
+     * @constant {boolean}
+     */
+    const alignsFromRight = anchorRight && typeof layoutSize.w !== 'number';
+    const alignsFromBottom = anchorBottom && typeof layoutSize.h !== 'number';
+
+    /**
+     * Position in pixels, re-resolved on every render so responsive and anchored windows follow the viewport and bounds
+     * @constant {{x: number, y: number}}
+     */
+    const layoutPosition = toPixelPosition({ x: position.x, y: position.y }, alignsFromRight ? 0 : layoutSize.w, alignsFromBottom ? 0 : layoutSize.h);
+
+    /**
+     * Rect the window is rendered at for the current window state.
+     * Maximized and fullscreen windows ignore the stored position and size, which are kept for restore.
+     * @constant {{x: number, y: number, w: number|string, h: number|string}}
+     */
+    const renderedRect = windowState === 'maximized' ? getMaximizedRect()
+        : windowState === 'fullscreen' ? { x: 0, y: 0, w: 'full', h: 'full' }
+        : { ...layoutPosition, ...layoutSize };
+
+    /**
+     * Whether the window is rendered at its own layout rather than the maximized or fullscreen rect
+     * @constant {boolean}
+     */
+    const rendersLayout = windowState === 'normal' || windowState === 'minimized';
+    renderedOffsetRef.current = { x: renderedRect.x, y: renderedRect.y, fromRight: rendersLayout && alignsFromRight, fromBottom: rendersLayout && alignsFromBottom };
+
+    /**
+     * Whether the window is rendered edge to edge, without rounded corners
+     * @constant {boolean}
+     */
+    const isEdgeToEdge = windowState === 'maximized' || windowState === 'fullscreen';
+
+    /**
+     * Effective z-index, assigned by the window manager when there is one
+     * @constant {number}
+     */
+    const resolvedZIndex = windowManager ? windowManager.getZIndex(windowId) : zIndex;
+
+    /**
+     * Portalled windows are fixed so that they escape clipping and transformed ancestors of where they are declared
+     * @constant {'fixed'|'absolute'}
+     */
+    const cssPosition = portal ? 'fixed' : 'absolute';
+
     /**
      * Main window container styles with all visual properties applied
      * @constant {Object}
@@ -405,22 +2171,98 @@ function WindowComponent({
         WebkitFontSmoothing: 'antialiased', 
         MozOsxFontSmoothing: 'grayscale', 
         userSelect: isInteracting ? 'none' : 'auto', 
-        position: 'absolute', 
-        width: formatCssSize(size.w), 
-        height: formatCssSize(size.h), 
-        transform: `translate(${position.x}px, ${position.y}px)`, 
-        display: 'flex', 
+        willChange: isInteracting && deferRendering ? 'transform' : undefined, 
+        position: cssPosition, 
+        width: formatCssSize(renderedRect.w), 
+        height: formatCssSize(renderedRect.h), 
+        transform: `translate(${renderedOffsetRef.current.fromRight ? `calc(${renderedRect.x}px - 100%)` : `${renderedRect.x}px`}, ${renderedOffsetRef.current.fromBottom ? `calc(${renderedRect.y}px - 100%)` : `${renderedRect.y}px`})`, 
+        display: windowState === 'minimized' && !showTitleBar ? 'none' : 'flex', 
+        visibility: isRestoring ? 'hidden' : undefined, 
+        pointerEvents: open ? undefined : 'none', 
+        transition: layoutTransitionMs ? `transform ${layoutTransitionMs}ms ease, width ${layoutTransitionMs}ms ease, height ${layoutTransitionMs}ms ease` : undefined, 
         flexDirection: 'column', 
-        zIndex: zIndex, 
-        backgroundColor: getColorValue(windowColor), 
-        borderColor: getColorValue(windowBorderColor || windowColor), 
+        zIndex: resolvedZIndex, 
+        backgroundColor: resolveColor(windowColor), 
+        color: resolveColor(windowTextColor), 
+        borderColor: resolveColor(windowBorderColor || windowColor), 
         borderWidth: windowBorder ? `${windowBorder}px` : undefined, 
         borderStyle: windowBorder ? 'solid' : undefined, 
-        borderRadius: windowBorderRadius ? getBorderRadius(windowBorderRadius) : undefined, 
+        borderRadius: windowBorderRadius && !isEdgeToEdge ? getBorderRadius(windowBorderRadius) : undefined, 
         boxShadow: getBoxShadow(windowShadow), 
         backdropFilter: getBackdropFilter(windowBackgroundBlur, windowBackgroundSaturation) 
     };
+    renderedStyleRef.current = { transform: windowStyle.transform, width: windowStyle.width ?? '', height: windowStyle.height ?? '' };
     
+    /**
+     * Translucent overlay showing where the window will snap, rendered behind the window in the same coordinate space
+     * @constant {Object|null}
+     */
+    const snapPreviewStyle = snapPreview && {
+        position: cssPosition,
+        boxSizing: 'border-box',
+        width: `${snapPreview.rect.width}px`,
+        height: `${snapPreview.rect.height}px`,
+        transform: `translate(${snapPreview.rect.x}px, ${snapPreview.rect.y}px)`,
+        zIndex: resolvedZIndex,
+        pointerEvents: 'none',
+        backgroundColor: resolveColor(snapPreviewColor),
+        border: `2px solid ${resolveColor(snapPreviewBorderColor)}`,
+        borderRadius: windowBorderRadius ? getBorderRadius(windowBorderRadius) : undefined,
+        backdropFilter: getBackdropFilter(windowBackgroundBlur, windowBackgroundSaturation),
+        transition: 'transform 120ms ease, width 120ms ease, height 120ms ease',
+    };
+
+    /**
+     * Builds the style of an alignment guide line, rendered above the window in the same coordinate space
+     * @param {{axis: 'x'|'y', offset: number, start: number, end: number}} guide - Guide to draw
+     * @returns {Object} Guide line styles
+     */
+    const getGuideStyle = ({ axis, offset, start, end }) => ({
+        position: cssPosition,
+        width: axis === 'x' ? '1px' : `${end - start}px`,
+        height: axis === 'x' ? `${end - start}px` : '1px',
+        transform: axis === 'x' ? `translate(${offset}px, ${start}px)` : `translate(${start}px, ${offset}px)`,
+        zIndex: resolvedZIndex,
+        pointerEvents: 'none',
+        backgroundColor: resolveColor(snapGuideColor),
+    });
+
+    /**
+     * Color of the built-in resize grips
+     * @constant {string}
+     */
+    const resizeGripColor = resolveColor(handleColor);
+
+    /**
+     * Cursor shown over drag areas: the drag axis, or the default cursor when the window cannot move
+     * @constant {string}
+     */
+    const dragCursor = canDrag ? DRAG_CURSORS[dragAxis] || 'move' : 'default';
+
+    /**
+     * Builds keyboard instructions matching what the window currently allows
+     * @returns {string} Instructions read with the window or title bar
+     */
+    const getKeyboardHelp = () => {
+        const canKeyboardResize = canKeyboardResizeWidth || canKeyboardResizeHeight;
+        if (!canDrag && !canKeyboardResize) return 'This window is locked and cannot be moved or resized.';
+        const moveKeys = { x: 'the left and right arrow keys', y: 'the up and down arrow keys' }[dragAxis] || 'the arrow keys';
+        if (!canKeyboardResize) return `Use ${moveKeys} to move the window, and Escape to undo.`;
+        if (!canDrag) return 'Use Shift and the arrow keys to resize the window, and Escape to undo.';
+        return `Use ${moveKeys} to move the window, Shift and the arrow keys to resize it, and Escape to undo.`;
+    };
+
+    /**
+     * Short description of what the window does not allow, announced with the dialog
+     * @returns {string|undefined} Interaction state, or undefined when the window can be moved and resized
+     */
+    const getInteractionDescription = () => {
+        if (!canDrag && !canResize) return 'Locked';
+        if (!canDrag) return 'Not movable';
+        if (!canResize) return 'Not resizable';
+        return undefined;
+    };
+
     /**
      * Inner content area styles with overflow and cursor properties
      * @constant {Object}
@@ -430,28 +2272,66 @@ function WindowComponent({
         overflowX: overflowX, 
         overflowY: overflowY, 
         flexGrow: 1, 
-        display: 'flex', 
+        display: windowState === 'minimized' ? 'none' : 'flex', 
         flexDirection: 'column', 
-        cursor: 'move', 
+        cursor: dragHandle || showTitleBar || !canDrag ? 'auto' : dragCursor, 
         touchAction: 'pan-y' 
     };
 
+    /**
+     * Pointer handlers that start a window drag, shared by the title bar and the content area;
+     * memoized so the memoized title bar skips the renders of a drag
+     * @constant {Object.<string, Function>}
+     */
+    const dragHandlers = useMemo(() => ({
+        onPointerDown: handleDragPointerDown,
+        onPointerMove: handleDragPointerMove,
+        onPointerUp: cancelDragHold,
+        onPointerCancel: cancelDragHold,
+    }), [handleDragPointerDown, handleDragPointerMove, cancelDragHold]);
+
+    /**
+     * Focus and keyboard props for the element that moves the window from the keyboard
+     * @constant {Object}
+     */
+    const keyboardMoveProps = useMemo(() => ({
+        tabIndex: 0,
+        onKeyDown: handleWindowKeyDown,
+        onBlur: handleKeyboardBlur,
+        'aria-describedby': `${windowId}-keyboard-help`,
+    }), [handleWindowKeyDown, handleKeyboardBlur, windowId]);
+
+    /**
+     * Keyboard props of the title bar, which also tell assistive technology when the window can neither move nor resize
+     * @constant {Object}
+     */
+    const titleBarKeyboardProps = useMemo(
+        () => (canDrag || canResize ? keyboardMoveProps : { ...keyboardMoveProps, 'aria-disabled': true }),
+        [canDrag, canResize, keyboardMoveProps]
+    );
+
     // ===================== RESIZE HANDLE DEFINITIONS =====================
     /**
-     * Default resize handles for desktop interaction (mouse)
-     * Provides 8 resize handles: 4 edges + 4 corners
-     * @constant {Array<{type: string, style: Object}>}
+     * Default resize handles for desktop interaction (mouse), one per enabled direction
+     * @constant {Array<{type: string, direction: string, style: Object}>}
+     */
+    const defaultResizeHandles = enabledResizeDirections.map(direction => ({
+        type: `resize-${direction}`,
+        direction,
+        style: getResizeHandleStyle(direction, handleSize),
+    }));
+
+    /**
+     * Size of the assistive corner handles: as large as the default corner handles, but never below the touch minimum
+     * @constant {number}
+     */
+    const assistiveHandleSize = Math.max(MIN_TOUCH_HANDLE_SIZE, handleSize * 2);
+
+    /**
+     * Offset that centers the assistive handles on the window corners
+     * @constant {string}
      */
-    const defaultResizeHandles = [
-        { type: 'resize-top', style: { position: 'absolute', height: '8px', width: '100%', top: '-4px', left: '0', cursor: 'n-resize', zIndex: 10 } }, 
-        { type: 'resize-bottom', style: { position: 'absolute', height: '8px', width: '100%', bottom: '-4px', left: '0', cursor: 's-resize', zIndex: 10 } }, 
-        { type: 'resize-left', style: { position: 'absolute', width: '8px', height: '100%', top: '0', left: '-4px', cursor: 'w-resize', zIndex: 10 } }, 
-        { type: 'resize-right', style: { position: 'absolute', width: '8px', height: '100%', top: '0', right: '-4px', cursor: 'e-resize', zIndex: 10 } }, 
-        { type: 'resize-top-left', style: { position: 'absolute', width: '16px', height: '16px', top: '-8px', left: '-8px', cursor: 'nw-resize', zIndex: 11 } }, 
-        { type: 'resize-top-right', style: { position: 'absolute', width: '16px', height: '16px', top: '-8px', right: '-8px', cursor: 'ne-resize', zIndex: 11 } }, 
-        { type: 'resize-bottom-left', style: { position: 'absolute', width: '16px', height: '16px', bottom: '-8px', left: '-8px', cursor: 'sw-resize', zIndex: 11 } }, 
-        { type: 'resize-bottom-right', style: { position: 'absolute', width: '16px', height: '16px', bottom: '-8px', right: '-8px', cursor: 'se-resize', zIndex: 11 } }
-    ];
+    const assistiveHandleOffset = `${-assistiveHandleSize / 2}px`;
 
     /**
      * Base style for assistive resize handles (touch-friendly)
@@ -459,8 +2339,8 @@ function WindowComponent({
      */
     const assistiveHandleStyle = { 
         position: 'absolute', 
-        width: '40px', 
-        height: '40px', 
+        width: `${assistiveHandleSize}px`, 
+        height: `${assistiveHandleSize}px`, 
         backgroundColor: 'rgba(59, 130, 246, 0.0)', 
         borderRadius: '10px', 
         zIndex: 12, 
@@ -468,56 +2348,374 @@ function WindowComponent({
     
     /**
      * Larger resize handles for touch interaction
-     * Only corner handles for better mobile UX
-     * @constant {Array<{type: string, style: Object}>}
+     * Only the enabled corner handles for better mobile UX
+     * @constant {Array<{type: string, direction: string, style: Object}>}
      */
     const assistiveResizeHandles = [
-        { type: 'resize-top-left', style: { ...assistiveHandleStyle, top: '-20px', left: '-20px', cursor: 'nw-resize' } },
-        { type: 'resize-top-right', style: { ...assistiveHandleStyle, top: '-20px', right: '-20px', cursor: 'ne-resize' } },
-        { type: 'resize-bottom-left', style: { ...assistiveHandleStyle, bottom: '-20px', left: '-20px', cursor: 'sw-resize' } },
-        { type: 'resize-bottom-right', style: { ...assistiveHandleStyle, bottom: '-20px', right: '-20px', cursor: 'se-resize' } },
-    ];
+        { type: 'resize-top-left', direction: 'top-left', style: { ...assistiveHandleStyle, top: assistiveHandleOffset, left: assistiveHandleOffset, cursor: 'nw-resize' } },
+        { type: 'resize-top-right', direction: 'top-right', style: { ...assistiveHandleStyle, top: assistiveHandleOffset, right: assistiveHandleOffset, cursor: 'ne-resize' } },
+        { type: 'resize-bottom-left', direction: 'bottom-left', style: { ...assistiveHandleStyle, bottom: assistiveHandleOffset, left: assistiveHandleOffset, cursor: 'sw-resize' } },
+        { type: 'resize-bottom-right', direction: 'bottom-right', style: { ...assistiveHandleStyle, bottom: assistiveHandleOffset, right: assistiveHandleOffset, cursor: 'se-resize' } },
+    ].filter(handle => enabledResizeDirections.includes(handle.direction));
+
+    /**
+     * Builds separator semantics for a resize handle: edges expose the dimension they control, corners describe both
+     * @param {string} type - Handle type ('resize-*')
+     * @returns {Object} ARIA attributes for the handle
+     */
+    const getHandleAriaProps = (type) => {
+        const label = `Resize ${type.replace('resize-', '').replace('-', ' ')}`;
+        const width = typeof layoutSize.w === 'number' ? Math.round(layoutSize.w) : undefined;
+        const height = typeof layoutSize.h === 'number' ? Math.round(layoutSize.h) : undefined;
+        const isHorizontalEdge = type === 'resize-top' || type === 'resize-bottom';
+        const isVerticalEdge = type === 'resize-left' || type === 'resize-right';
+        if (isHorizontalEdge || isVerticalEdge) {
+            const max = isVerticalEdge ? maxW : maxH;
+            return {
+                role: 'separator',
+                'aria-label': label,
+                'aria-orientation': isVerticalEdge ? 'vertical' : 'horizontal',
+                'aria-valuenow': isVerticalEdge ? width : height,
+                'aria-valuemin': isVerticalEdge ? minW : minH,
+                'aria-valuemax': typeof max === 'number' && Number.isFinite(max) ? max : undefined,
+            };
+        }
+        return {
+            role: 'separator',
+            'aria-label': label,
+            'aria-valuetext': width !== undefined && height !== undefined ? `${width} by ${height} pixels` : undefined,
+        };
+    };
+
+    /**
+     * Edge handle driving the current resize, kept mounted so it holds on to pointer capture until release
+     * @constant {Object|undefined}
+     */
+    const interactingEdgeHandle = isInteracting && interactionRef.current
+        ? defaultResizeHandles.find(handle => handle.type === interactionRef.current.type && !handle.direction.includes('-'))
+        : undefined;
 
     /**
      * Determines which resize handles to show based on interaction state
      * @constant {Array<{type: string, style: Object}>}
      */
-    const activeHandles = isInteracting ? assistiveResizeHandles : defaultResizeHandles;     // ===================== COMPONENT RENDER =====================
+    const activeHandles = windowState !== 'normal' ? []
+        : isInteracting ? [...(interactingEdgeHandle ? [interactingEdgeHandle] : []), ...assistiveResizeHandles]
+        : defaultResizeHandles;
+
+    // ===================== COMPONENT RENDER =====================
     return (
-        <div 
-            ref={windowRef} 
-            className={`${className} ${hideScrollbar ? 'flexi-window-hide-scrollbar' : ''}`} 
-            style={windowStyle}
-            role="dialog"
-            aria-label="Draggable and resizable window"
-        >
-            <GlobalStyles />
+        <>
+            {snapPreview && <div className="flexi-window-snap-preview" style={snapPreviewStyle} aria-hidden="true" />}
             <div 
-                className={`${hideScrollbar ? 'flexi-window-hide-scrollbar' : ''}`} 
-                style={innerDivStyle} 
-                onMouseDown={(e) => handleInteractionStart(e, 'drag')} 
-                onTouchStart={handleDragTouchStart} 
-                onTouchEnd={cancelDragHold} 
-                onTouchMove={handleDragTouchMove}
-                role="region"
-                aria-label="Window content area"
+                ref={windowRef} 
+                className={`${className} ${hideScrollbar ? 'flexi-window-hide-scrollbar' : ''} ${showHandles === 'hover' ? 'flexi-window-handles-hover' : ''}`} 
+                style={windowStyle}
+                onPointerDownCapture={handleBringToFront}
+                onFocus={handleBringToFront}
+                data-window-id={windowId}
+                data-window-state={windowState}
+                data-draggable={canDrag}
+                data-resizable={canResize}
+                role="dialog"
+                aria-label={showTitleBar ? undefined : ariaLabel}
+                aria-labelledby={showTitleBar ? `${windowId}-title` : undefined}
+                aria-description={getInteractionDescription()}
+                {...(showTitleBar ? { tabIndex: -1 } : keyboardMoveProps)}
             >
-                {children}
-            </div>
-            {activeHandles.map(handle => (
+                <GlobalStyles />
+                <span id={`${windowId}-keyboard-help`} style={visuallyHiddenStyle}>
+                    {getKeyboardHelp()}
+                </span>
+                <span role="status" aria-live="polite" style={visuallyHiddenStyle}>{announcement}</span>
+                {showTitleBar && (
+                    <TitleBar
+                        ref={titleBarRef}
+                        title={title}
+                        icon={titleIcon}
+                        titleId={`${windowId}-title`}
+                        className={titleBarClassName}
+                        backgroundColor={resolveColor(titleBarColor)}
+                        borderRadius={windowBorderRadius && !isEdgeToEdge ? getBorderRadius(windowBorderRadius) : undefined}
+                        isMinimized={windowState === 'minimized'}
+                        isMaximized={windowState === 'maximized'}
+                        onMinimize={minimizable ? toggleMinimize : undefined}
+                        onMaximize={maximizable ? toggleMaximize : undefined}
+                        onClose={onClose}
+                        dragHandlers={dragHandlers}
+                        cursor={dragCursor}
+                        keyboardProps={titleBarKeyboardProps}
+                    />
+                )}
                 <div 
-                    key={handle.type} 
-                    style={handle.style} 
-                    onMouseDown={(e) => handleInteractionStart(e, handle.type)} 
-                    onTouchStart={(e) => handleInteractionStart(e, handle.type)}
-                    role="button"
-                    aria-label={`Resize ${handle.type.replace('resize-', '').replace('-', ' ')}`}
-                    tabIndex={-1}
-                />
+                    className={`${hideScrollbar ? 'flexi-window-hide-scrollbar' : ''}`} 
+                    style={innerDivStyle} 
+                    {...dragHandlers}
+                    role="region"
+                    aria-label="Window content area"
+                >
+                    {children}
+                </div>
+                {activeHandles.map(handle => (
+                    <div 
+                        key={handle.type} 
+                        className={`flexi-window-resize-handle ${handleClassNames?.[handle.direction] || ''}`}
+                        style={{ ...handle.style, touchAction: 'none' }} 
+                        onPointerDown={(e) => handleInteractionStart(e, handle.type)}
+                        onKeyDown={(e) => handleResizeHandleKeyDown(e, handle.type)}
+                        onBlur={handleKeyboardBlur}
+                        {...getHandleAriaProps(handle.type)}
+                        tabIndex={isInteracting ? -1 : 0}
+                    >
+                        {renderHandle
+                            ? renderHandle(handle.direction)
+                            : (showHandles && <span className="flexi-window-resize-grip" style={getResizeGripStyle(handle.direction, resizeGripColor)} aria-hidden="true" />)}
+                    </div>
+                ))}
+            </div>
+            {alignmentGuides.map(guide => (
+                <div key={`${guide.axis}-${guide.offset}`} className="flexi-window-alignment-guide" style={getGuideStyle(guide)} aria-hidden="true" />
             ))}
-        </div>
+        </>
+    );
+});
+
+WindowFrame.displayName = 'WindowFrame';
+
+/**
+ * A professional-grade, flexible window component for React applications.
+ * Provides draggable and resizable functionality for mouse, touch and pen through Pointer Events.
+ * 
+ * @component
+ * @example
+ * ```jsx
+ * <WindowComponent
+ *   w={400}
+ *   h={300}
+ *   x={100}
+ *   y={100}
+ *   windowColor="blue-500/90"
+ *   windowBorderRadius="lg"
+ *   windowShadow="xl/30"
+ *   boundary={true}
+ * >
+ *   <div>Your content here</div>
+ * </WindowComponent>
+ * ```
+ * 
+ * @param {Object} props - Component props
+ * @param {number|string} [props.w='auto'] - Initial window width (alias of defaultW)
+ * @param {number|string} [props.h='auto'] - Initial window height (alias of defaultH)
+ * @param {number|string} [props.x=50] - Initial X position (alias of defaultX)
+ * @param {number|string} [props.y=50] - Initial Y position (alias of defaultY)
+ * @param {number|string} [props.defaultW='auto'] - Initial width for uncontrolled use (number for pixels, '%' of the bounds, 'vw', 'vh', 'auto', 'full', or CSS value)
+ * @param {number|string} [props.defaultH='auto'] - Initial height for uncontrolled use (number for pixels, '%' of the bounds, 'vw', 'vh', 'auto', 'full', or CSS value)
+ * @param {number|string} [props.defaultX=50] - Initial X position for uncontrolled use (number for pixels, '%' of the bounds, 'vw' or 'vh')
+ * @param {number|string} [props.defaultY=50] - Initial Y position for uncontrolled use (number for pixels, '%' of the bounds, 'vw' or 'vh')
+ * @param {{x: number|string, y: number|string}} [props.position] - Controlled position; when set, the window only moves through onPositionChange
+ * @param {{w: number|string, h: number|string}} [props.size] - Controlled size; when set, the window only resizes through onSizeChange
+ * @param {Function} [props.onPositionChange] - Called with the new constrained `{ x, y }` whenever the window moves
+ * @param {Function} [props.onSizeChange] - Called with the new constrained `{ w, h }` whenever the window resizes
+ * @param {string|React.RefObject<HTMLElement>} [props.dragHandle] - CSS selector or ref of the element(s) that start a drag; when set, the rest of the content no longer drags the window
+ * @param {string} [props.dragCancel] - CSS selector of elements that never start a drag
+ * @param {React.ReactNode} [props.title] - Title rendered in the built-in title bar; setting it shows the title bar
+ * @param {boolean} [props.titleBar] - Forces the built-in title bar on or off (defaults to on when `title` is set)
+ * @param {React.ReactNode} [props.titleIcon] - Icon rendered before the title
+ * @param {string} [props.titleBarColor=''] - Title bar background color, same format as windowColor
+ * @param {string} [props.titleBarClassName=''] - Additional CSS classes for the title bar
+ * @param {boolean} [props.minimizable=true] - Whether the title bar shows a minimize button
+ * @param {boolean} [props.maximizable=true] - Whether the title bar shows a maximize button and double-clicking it toggles maximize
+ * @param {Function} [props.onMinimize] - Called when the window becomes minimized
+ * @param {Function} [props.onMaximize] - Called when the window becomes maximized
+ * @param {Function} [props.onClose] - Shows a close button in the title bar and is called when it is clicked
+ * @param {string} [props.windowState] - Controlled window state ('normal', 'minimized', 'maximized' or 'fullscreen')
+ * @param {string} [props.defaultWindowState='normal'] - Initial window state for uncontrolled use
+ * @param {Function} [props.onWindowStateChange] - Called with `(nextState, previousState)` whenever the window state changes
+ * @param {string} [props.persistKey] - Saves position, size and window state under this key and restores them on mount
+ * @param {'local'|'session'|'indexeddb'|Object} [props.persistStorage='local'] - Built-in storage or a custom `{ load, save, remove }` adapter, which may be async
+ * @param {number} [props.persistVersion=1] - Schema version written with the layout; stored layouts with another version go through migrateLayout
+ * @param {Function} [props.migrateLayout] - Called with `(layout, fromVersion)` for outdated layouts; returns the migrated layout or null to discard it
+ * @param {Function} [props.onDragStart] - Called when a drag begins; return `false` to cancel the drag
+ * @param {Function} [props.onDrag] - Called on every drag movement
+ * @param {Function} [props.onDragStop] - Called when a drag in which the pointer moved ends
+ * @param {Function} [props.onResizeStart] - Called when a resize begins; return `false` to cancel the resize
+ * @param {Function} [props.onResize] - Called on every resize movement
+ * @param {Function} [props.onResizeStop] - Called when a resize in which the pointer moved ends
+ * @param {number} [props.minW=1] - Minimum width in pixels
+ * @param {number} [props.minH=1] - Minimum height in pixels
+ * @param {number|string} [props.maxW=Infinity] - Maximum width in pixels, 'viewport' or 'bounds'
+ * @param {number|string} [props.maxH=Infinity] - Maximum height in pixels, 'viewport' or 'bounds'
+ * @param {boolean} [props.boundary=false] - Whether to constrain window within viewport boundaries
+ * @param {string|Object|HTMLElement} [props.bounds] - Area the window is constrained to and maximizes into: 'viewport', 'parent', a CSS selector, a ref, an element or `{ left, top, right, bottom }`
+ * @param {string} [props.overflow='auto'] - CSS overflow property for the content area
+ * @param {string} [props.overflowY='auto'] - CSS overflow-y property for the content area
+ * @param {string} [props.overflowX='auto'] - CSS overflow-x property for the content area
+ * @param {boolean} [props.hideScrollbar=false] - Whether to hide scrollbars while preserving scroll functionality
+ * @param {string} [props.className=''] - Additional CSS classes to apply to the window
+ * @param {string} [props.windowColor=''] - Tailwind palette name, registered color or CSS color with optional opacity (e.g., 'blue-500/90', '#1e293b/80', 'var(--surface)')
+ * @param {string} [props.windowTextColor] - Text color of the window content and title bar, same format as windowColor
+ * @param {string} [props.windowBorderColor=''] - Border color, defaults to windowColor if not specified
+ * @param {string} [props.windowBorderRadius=''] - Border radius using Tailwind-style values (sm, md, lg, xl, etc.)
+ * @param {number} [props.windowBorder=0] - Border width in pixels
+ * @param {string} [props.windowShadow=''] - Box shadow using Tailwind-style values with optional opacity (e.g., 'xl/30')
+ * @param {string} [props.windowBackgroundBlur=''] - Backdrop blur effect (sm, md, lg, xl, etc.)
+ * @param {string} [props.windowBackgroundSaturation='100'] - Backdrop saturation percentage
+ * @param {number} [props.zIndex=1] - CSS z-index value for stacking order (ignored inside a WindowManagerProvider)
+ * @param {number|number[]} [props.grid] - Snap grid `[x, y]` in pixels for dragging (and resizing when `resizeGrid` is not set); hold Alt to bypass
+ * @param {number|number[]} [props.resizeGrid] - Separate snap grid `[width, height]` in pixels for resizing
+ * @param {boolean|Object} [props.snapZones=false] - Desktop-style edge snapping while dragging: `true` or `{ threshold, left, right, top, corners }`
+ * @param {string} [props.snapPreviewColor='blue-500/20'] - Background color of the snap preview overlay, same format as windowColor
+ * @param {string} [props.snapPreviewBorderColor='blue-500/60'] - Border color of the snap preview overlay
+ * @param {string} [props.snapGroup] - Windows sharing a snap group snap magnetically to each other's edges and centers
+ * @param {number} [props.snapThreshold=8] - Distance in pixels within which sibling edges attract
+ * @param {boolean} [props.snapGuides=false] - Shows alignment guide lines while an edge is locked to a sibling
+ * @param {string} [props.snapGuideColor='pink-500'] - Color of the alignment guides
+ * @param {boolean|number} [props.lockAspectRatio=false] - Keeps proportions while resizing: `true` keeps the starting ratio, a number forces width / height; holding Shift toggles the lock
+ * @param {boolean|number} [props.deferRendering=false] - Moves the DOM directly once per animation frame during drag and resize and commits to state on release (`true`) or at most every N milliseconds (number)
+ * @param {string} [props.anchor='top-left'] - Corner of the bounds that x and y are measured from: 'top-left', 'top-right', 'bottom-left' or 'bottom-right'
+ * @param {string|Function} [props.placement] - Initial placement computed before the first paint: 'center', 'cascade', 'smart' (avoids overlapping other windows), 'near-pointer', or a function receiving `{ width, height, bounds, windows, pointer }` and returning `{ x, y, width?, height? }`
+ * @param {boolean} [props.draggable=true] - Whether the window can be moved by pointer or keyboard
+ * @param {boolean} [props.resizable=true] - Whether the window can be resized by pointer or keyboard
+ * @param {boolean} [props.locked=false] - Pins the window: disables both dragging and resizing
+ * @param {'x'|'y'|'both'} [props.dragAxis='both'] - Axis along which the window can be dragged
+ * @param {'x'|'y'|'both'} [props.resizeAxis='both'] - Dimension the window can be resized in; 'x' or 'y' keeps only the matching edge handles
+ * @param {boolean|string[]|Object} [props.enableResizing=true] - Active resize handles: `false` for none, a list of directions or a `{ direction: boolean }` map
+ * @param {number} [props.handleSize=8] - Thickness in pixels of the edge handles; corner handles are twice as large, and at least 40px while the window is dragged or resized
+ * @param {Function} [props.renderHandle] - Called with a direction to render custom content inside its resize handle
+ * @param {Object.<string, string>} [props.handleClassNames] - Extra CSS classes per resize direction
+ * @param {boolean|string} [props.showHandles=false] - Draws built-in grips: `true` always, 'hover' while the window is hovered or focused (also fades renderHandle content)
+ * @param {string} [props.handleColor='blue-500'] - Color of the built-in grips, same format as windowColor
+ * @param {number} [props.keyboardStep=10] - Pixels moved or resized per arrow key press
+ * @param {string} [props.ariaLabel='Draggable and resizable window'] - Accessible name used when there is no title bar
+ * @param {boolean} [props.open=true] - Whether the window is shown; turning it off plays the exit animation before unmounting
+ * @param {Function} [props.onExited] - Called once the window has unmounted after `open` turned off
+ * @param {'none'|'fade'|'scale'|'slide'} [props.animation='none'] - Enter and exit animation, skipped when the user prefers reduced motion
+ * @param {number} [props.animationDuration=200] - Duration in milliseconds of enter, exit and layout animations
+ * @param {string|React.RefObject<HTMLElement>|HTMLElement} [props.animationOrigin] - Element the window scales or slides out of and back into, e.g. the button that opened it
+ * @param {boolean} [props.animateLayout=false] - Animates programmatic moves and resizes (ref handle) and minimize, maximize and restore
+ * @param {boolean|string|React.RefObject<HTMLElement>|HTMLElement} [props.portal] - Renders the window into document.body (`true`) or another container, with fixed positioning so `x` and `y` are viewport coordinates
+ * @param {string} [props.variant] - Theme variant of the nearest FlexiThemeProvider whose tokens fill the styling props left unset
+ * @param {string} [props.id] - Window identifier used by the WindowManagerProvider (generated when omitted)
+ * @param {React.ReactNode} props.children - Content to render inside the window
+ * @param {React.Ref<WindowHandle>} ref - Receives the imperative window handle (moveTo, resizeTo, center, maximize, ...)
+ * @returns {JSX.Element|null} The rendered window component, or null once it has closed
+ */
+const WindowComponent = forwardRef((props, ref) => {
+    const { open = true, onExited, portal } = props;
+
+    /**
+     * Whether the window is rendered: while open, and after closing until its exit animation has finished
+     * @type {[boolean, Function]}
+     */
+    const [isPresent, setIsPresent] = useState(open);
+    if (open && !isPresent) setIsPresent(true);
+
+    /**
+     * Latest onExited callback, readable from the stable exit handler
+     * @type {React.MutableRefObject<Function|undefined>}
+     */
+    const onExitedRef = useRef(onExited);
+    onExitedRef.current = onExited;
+
+    /**
+     * Unmounts the window once its exit animation has finished
+     */
+    const handleExitComplete = useCallback(() => {
+        setIsPresent(false);
+        if (onExitedRef.current) onExitedRef.current();
+    }, []);
+
+    /**
+     * Element the frame is always rendered into, created on the client only. Moving it between where the window is declared
+     * and the portal container keeps the frame mounted, with its position, size and state, when `portal` changes.
+     * @type {[HTMLDivElement|null]}
+     */
+    const [host] = useState(() => {
+        if (typeof document === 'undefined') return null;
+        const element = document.createElement('div');
+        element.setAttribute(WINDOW_HOST_ATTRIBUTE, '');
+        element.style.display = 'contents';
+        return element;
+    });
+
+    /**
+     * Hidden element marking where the window is declared
+     * @type {React.MutableRefObject<HTMLElement|null>}
+     */
+    const markerRef = useRef(null);
+
+    /**
+     * Whether the frame was rendered last time; a portalled window waits for its container only before it first mounts
+     * @type {React.MutableRefObject<boolean>}
+     */
+    const frameRenderedRef = useRef(false);
+
+    /**
+     * Container the host currently sits in, or null while it sits where the window is declared
+     * @type {[HTMLElement|null, Function]}
+     */
+    const [portalContainer, setPortalContainer] = useState(null);
+
+    /**
+     * Attaches the marker and inserts the host right after it, before the frame's layout effects measure anything
+     * @param {HTMLElement|null} marker - Marker element, null on unmount
+     */
+    const attachMarker = useCallback((marker) => {
+        markerRef.current = marker;
+        if (!host) return;
+        if (!marker) host.remove();
+        else if (!host.parentNode) marker.parentNode.insertBefore(host, marker.nextSibling);
+    }, [host]);
+
+    /**
+     * Moves the host into the portal container or back next to the marker
+     * @returns {boolean} False while the portal container is not available yet
+     */
+    const placeHost = useCallback(() => {
+        const container = resolvePortalContainer(portal);
+        if (portal && !container) return false;
+        const marker = markerRef.current;
+        if (container && host.parentNode !== container) container.appendChild(host);
+        if (!container && marker && marker.nextSibling !== host) marker.parentNode.insertBefore(host, marker.nextSibling);
+        setPortalContainer(container);
+        return true;
+    }, [host, portal]);
+
+    /**
+     * Places the host before the first paint after every render, so refs that point elsewhere are followed
+     */
+    useLayoutEffect(() => {
+        if (host) placeHost();
+    });
+
+    /**
+     * Retries containers that are not available during layout, such as refs to ancestors, which are attached after
+     * their children, and keeps retrying every frame until the container exists
+     */
+    useEffect(() => {
+        if (!host) return undefined;
+        let frameId = null;
+        const retry = () => {
+            if (!placeHost()) frameId = requestAnimationFrame(retry);
+        };
+        retry();
+        return () => cancelAnimationFrame(frameId);
+    });
+
+    frameRenderedRef.current = isPresent && (!portal || Boolean(portalContainer) || frameRenderedRef.current);
+    if (!isPresent) return null;
+    // Without a document the window renders inline, and portalled windows wait for the client
+    if (!host) return portal ? null : <WindowFrame {...props} ref={ref} portal={false} onExitComplete={handleExitComplete} />;
+    return (
+        <>
+            <span ref={attachMarker} hidden />
+            {frameRenderedRef.current && createPortal(
+                <WindowFrame {...props} ref={ref} portal={Boolean(portalContainer)} onExitComplete={handleExitComplete} />,
+                host
+            )}
+        </>
     );
-}
+});
 
 // Set display name for better debugging experience
 WindowComponent.displayName = 'WindowComponent';
@@ -0,0 +1,34 @@
+import { createContext, useContext } from 'react';
+
+/**
+ * Context shared between a WindowManagerProvider and its windows.
+ * Holds `null` when a window is rendered outside of a provider.
+ * @type {React.Context<null|Object>}
+ */
+export const WindowManagerContext = createContext(null);
+
+/**
+ * Accesses the nearest window manager.
+ * 
+ * @example
+ * ```jsx
+ * const { bringToFront, getActiveWindow, windows } = useWindowManager();
+ * ```
+ * 
+ * @returns {{
+ *   windows: Array<{id: string, zIndex: number, isActive: boolean}>,
+ *   bringToFront: (id: string) => void,
+ *   sendToBack: (id: string) => void,
+ *   setStackingOrder: (ids: string[]) => void,
+ *   getActiveWindow: () => string|null,
+ *   getZIndex: (id: string) => number,
+ *   registerWindow: (id: string) => void,
+ *   unregisterWindow: (id: string) => void
+ * }} The window manager API
+ * @throws {Error} When called outside of a WindowManagerProvider
+ */
+export function useWindowManager() {
+    const manager = useContext(WindowManagerContext);
+    if (!manager) throw new Error('useWindowManager must be used within a WindowManagerProvider');
+    return manager;
+}
@@ -0,0 +1,43 @@
+import { ReactNode } from 'react';
+
+export interface WindowManagerProviderProps {
+  /** z-index assigned to the bottom-most window */
+  baseZIndex?: number;
+  /** Content containing the managed windows */
+  children?: ReactNode;
+}
+
+export interface ManagedWindow {
+  /** Window identifier */
+  id: string;
+  /** z-index currently assigned to the window */
+  zIndex: number;
+  /** Whether the window is the top-most one */
+  isActive: boolean;
+}
+
+export interface WindowManager {
+  /** Registered windows ordered from bottom to top */
+  windows: ManagedWindow[];
+  /** Raises a window to the top of the stack */
+  bringToFront: (id: string) => void;
+  /** Lowers a window to the bottom of the stack */
+  sendToBack: (id: string) => void;
+  /** Restacks the listed windows bottom-to-top above the unlisted ones; unknown ids are ignored */
+  setStackingOrder: (ids: string[]) => void;
+  /** Returns the id of the top-most window, or null when none is registered */
+  getActiveWindow: () => string | null;
+  /** Returns the z-index assigned to a window */
+  getZIndex: (id: string) => number;
+  /** Adds a window to the stack (called by WindowComponent) */
+  registerWindow: (id: string) => void;
+  /** Removes a window from the stack (called by WindowComponent) */
+  unregisterWindow: (id: string) => void;
+}
+
+declare const WindowManagerProvider: React.FC<WindowManagerProviderProps>;
+
+/** Accesses the nearest WindowManagerProvider; throws when used outside of one */
+export declare function useWindowManager(): WindowManager;
+
+export default WindowManagerProvider;
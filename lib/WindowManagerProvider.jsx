@@ -0,0 +1,131 @@
+import { useState, useRef, useCallback, useMemo } from 'react';
+import { WindowManagerContext } from './WindowManagerContext.js';
+
+/**
+ * Tracks the stacking order of every WindowComponent rendered inside it.
+ * Windows register themselves on mount and are raised to the top when clicked, touched or focused.
+ *
+ * @component
+ * @example
+ * ```jsx
+ * <WindowManagerProvider baseZIndex={10}>
+ *   <WindowComponent id="editor">...</WindowComponent>
+ *   <WindowComponent id="preview">...</WindowComponent>
+ * </WindowManagerProvider>
+ * ```
+ *
+ * @param {Object} props - Component props
+ * @param {number} [props.baseZIndex=1] - z-index assigned to the bottom-most window
+ * @param {React.ReactNode} props.children - Content containing the managed windows
+ * @returns {JSX.Element} The context provider
+ */
+function WindowManagerProvider({ baseZIndex = 1, children }) {
+    /**
+     * Registered window ids ordered from bottom to top
+     * @type {[string[], Function]}
+     */
+    const [order, setOrder] = useState([]);
+
+    /**
+     * Latest stacking order, readable from stable callbacks
+     * @type {React.MutableRefObject<string[]>}
+     */
+    const orderRef = useRef(order);
+    orderRef.current = order;
+
+    /**
+     * Adds a window on top of the stack
+     * @param {string} id - Window identifier
+     */
+    const registerWindow = useCallback((id) => {
+        setOrder(prev => (prev.includes(id) ? prev : [...prev, id]));
+    }, []);
+
+    /**
+     * Removes a window from the stack
+     * @param {string} id - Window identifier
+     */
+    const unregisterWindow = useCallback((id) => {
+        setOrder(prev => (prev.includes(id) ? prev.filter(windowId => windowId !== id) : prev));
+    }, []);
+
+    /**
+     * Moves a window to the top of the stack
+     * @param {string} id - Window identifier
+     */
+    const bringToFront = useCallback((id) => {
+        setOrder(prev => {
+            if (!prev.includes(id) || prev[prev.length - 1] === id) return prev;
+            return [...prev.filter(windowId => windowId !== id), id];
+        });
+    }, []);
+
+    /**
+     * Moves a window to the bottom of the stack
+     * @param {string} id - Window identifier
+     */
+    const sendToBack = useCallback((id) => {
+        setOrder(prev => {
+            if (!prev.includes(id) || prev[0] === id) return prev;
+            return [id, ...prev.filter(windowId => windowId !== id)];
+        });
+    }, []);
+
+    /**
+     * Restacks the listed windows in the given bottom-to-top order, above any window that is not listed.
+     * Ids that are not registered are ignored.
+     * @param {string[]} ids - Window identifiers ordered from bottom to top
+     */
+    const setStackingOrder = useCallback((ids) => {
+        setOrder(prev => {
+            const listed = ids.filter((id, index) => prev.includes(id) && ids.indexOf(id) === index);
+            const next = [...prev.filter(windowId => !listed.includes(windowId)), ...listed];
+            return next.every((windowId, index) => windowId === prev[index]) ? prev : next;
+        });
+    }, []);
+
+    /**
+     * Returns the id of the top-most window
+     * @returns {string|null} Active window id, or null when no window is registered
+     */
+    const getActiveWindow = useCallback(() => {
+        const current = orderRef.current;
+        return current.length ? current[current.length - 1] : null;
+    }, []);
+
+    /**
+     * Resolves the z-index of a window from its place in the stack.
+     * Windows that have not registered yet are placed on top.
+     * @param {string} id - Window identifier
+     * @returns {number} CSS z-index value
+     */
+    const getZIndex = useCallback((id) => {
+        const index = order.indexOf(id);
+        return baseZIndex + (index === -1 ? order.length : index);
+    }, [order, baseZIndex]);
+
+    /**
+     * Context value exposed to windows and useWindowManager consumers
+     * @constant {Object}
+     */
+    const value = useMemo(() => ({
+        windows: order.map((id, index) => ({ id, zIndex: baseZIndex + index, isActive: index === order.length - 1 })),
+        bringToFront,
+        sendToBack,
+        setStackingOrder,
+        getActiveWindow,
+        getZIndex,
+        registerWindow,
+        unregisterWindow,
+    }), [order, baseZIndex, bringToFront, sendToBack, setStackingOrder, getActiveWindow, getZIndex, registerWindow, unregisterWindow]);
+
+    return (
+        <WindowManagerContext.Provider value={value}>
+            {children}
+        </WindowManagerContext.Provider>
+    );
+}
+
+WindowManagerProvider.displayName = 'WindowManagerProvider';
+
+export default WindowManagerProvider;
@@ -0,0 +1,71 @@
+import { ReactNode, CSSProperties, ForwardRefExoticComponent, RefAttributes } from 'react';
+import { WindowRect } from './WindowComponent';
+
+export interface WorkspaceWindowLayout {
+  /** Window identifier */
+  id: string;
+  /** Position and size; the restore rect while the window is maximized or minimized */
+  rect: Omit<WindowRect, 'windowState'>;
+  /** Window state to restore */
+  windowState: 'normal' | 'minimized' | 'maximized';
+  /** Snap group of the window, or null */
+  group: string | null;
+  /** z-index at export time; windows are restacked in ascending order */
+  zIndex: number | null;
+}
+
+export interface WorkspaceLayout {
+  /** Layout format version (currently 1) */
+  version: number;
+  /** Windows ordered from bottom to top */
+  windows: WorkspaceWindowLayout[];
+}
+
+export interface WorkspaceImportOptions {
+  /** Animate windows into place instead of jumping (default false) */
+  animate?: boolean;
+  /** Animation duration in milliseconds (default 250) */
+  duration?: number;
+}
+
+export interface WorkspaceImportResult {
+  /** Ids of the windows moved into place */
+  applied: string[];
+  /** Ids from the layout with no matching window */
+  missing: string[];
+}
+
+export interface WorkspaceHandle {
+  /** Describes every window of the workspace */
+  exportLayout: () => WorkspaceLayout;
+  /** Moves windows into a layout given as JSON text or object; throws on malformed layouts */
+  importLayout: (layout: string | WorkspaceLayout, options?: WorkspaceImportOptions) => WorkspaceImportResult;
+  /** Stores the current layout as a named preset and returns it */
+  savePreset: (name: string) => WorkspaceLayout;
+  /** Applies a named preset; throws when it does not exist */
+  applyPreset: (name: string, options?: WorkspaceImportOptions) => WorkspaceImportResult;
+  /** Names of the available presets */
+  presetNames: string[];
+}
+
+export interface WorkspaceProps {
+  /** z-index assigned to the bottom-most window */
+  baseZIndex?: number;
+  /** Named layouts that applyPreset can switch between */
+  presets?: Record<string, WorkspaceLayout>;
+  /** Called when savePreset is used, e.g. to persist presets */
+  onPresetSave?: (name: string, layout: WorkspaceLayout) => void;
+  /** CSS classes of the container */
+  className?: string;
+  /** Inline styles of the container */
+  style?: CSSProperties;
+  /** Windows and other content */
+  children?: ReactNode;
+}
+
+declare const Workspace: ForwardRefExoticComponent<WorkspaceProps & RefAttributes<WorkspaceHandle>>;
+
+/** Accesses the nearest Workspace; throws when used outside of one */
+export declare function useWorkspace(): WorkspaceHandle;
+
+export default Workspace;
@@ -0,0 +1,213 @@
+import { useState, useRef, useCallback, useContext, useMemo, useImperativeHandle, forwardRef } from 'react';
+import WindowManagerProvider from './WindowManagerProvider.jsx';
+import { WindowManagerContext } from './WindowManagerContext.js';
+import { WorkspaceContext } from './WorkspaceContext.js';
+
+/**
+ * Version written into exported layouts
+ * @constant {number}
+ */
+const WORKSPACE_LAYOUT_VERSION = 1;
+
+/**
+ * Parses and checks a layout given as JSON text or as an object
+ * @param {string|Object} layout - Exported layout
+ * @returns {{version: number, windows: Array<Object>}} Parsed layout
+ * @throws {Error} When the layout is malformed or has an unsupported version
+ */
+const parseLayout = (layout) => {
+    const data = typeof layout === 'string' ? JSON.parse(layout) : layout;
+    if (!data || !Array.isArray(data.windows)) throw new Error('Invalid workspace layout: expected a "windows" array');
+    if (data.version !== WORKSPACE_LAYOUT_VERSION) throw new Error(`Unsupported workspace layout version: ${data.version}`);
+    return data;
+};
+
+/**
+ * Tracks the windows of a workspace and implements layout export, import and presets.
+ * Rendered inside the workspace's WindowManagerProvider so it can read and restore the stacking order.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object.<string, Object>} [props.presets] - Named layouts
+ * @param {Function} [props.onPresetSave] - Called with `(name, layout)` when savePreset is used
+ * @param {React.ReactNode} props.children - Workspace content
+ * @param {React.Ref<Object>} ref - Receives the workspace API
+ * @returns {JSX.Element} The context provider
+ */
+const WorkspaceLayoutController = forwardRef(({ presets, onPresetSave, children }, ref) => {
+    const windowManager = useContext(WindowManagerContext);
+
+    /**
+     * Presets saved at runtime with savePreset
+     * @type {[Object.<string, Object>, Function]}
+     */
+    const [savedPresets, setSavedPresets] = useState({});
+
+    /**
+     * Window API refs registered by the windows of the workspace, keyed by window id
+     * @type {React.MutableRefObject<Map<string, React.MutableRefObject<Object>>>}
+     */
+    const windowsRef = useRef(new Map());
+
+    /**
+     * Latest window manager, readable from stable callbacks
+     * @type {React.MutableRefObject<Object>}
+     */
+    const windowManagerRef = useRef(windowManager);
+    windowManagerRef.current = windowManager;
+
+    /**
+     * Presets from props merged with the ones saved at runtime
+     * @constant {Object.<string, Object>}
+     */
+    const allPresets = useMemo(() => ({ ...presets, ...savedPresets }), [presets, savedPresets]);
+
+    /**
+     * Latest presets and callbacks, readable from stable callbacks
+     * @type {React.MutableRefObject<{presets: Object, onPresetSave: Function|undefined}>}
+     */
+    const latestRef = useRef({ presets: allPresets, onPresetSave });
+    latestRef.current = { presets: allPresets, onPresetSave };
+
+    /**
+     * Adds a window to the workspace
+     * @param {string} id - Window identifier
+     * @param {React.MutableRefObject<{getLayout: Function, applyLayout: Function}>} windowRef - Ref to the window's layout API
+     * @returns {Function} Removes the window from the workspace
+     */
+    const registerWindow = useCallback((id, windowRef) => {
+        windowsRef.current.set(id, windowRef);
+        return () => {
+            if (windowsRef.current.get(id) === windowRef) windowsRef.current.delete(id);
+        };
+    }, []);
+
+    /**
+     * Describes every window of the workspace, ordered from bottom to top
+     * @returns {{version: number, windows: Array<{id: string, rect: Object, windowState: string, group: string|null, zIndex: number|null}>}} Serializable layout
+     */
+    const exportLayout = useCallback(() => {
+        const zIndexById = new Map((windowManagerRef.current ? windowManagerRef.current.windows : []).map(({ id, zIndex }) => [id, zIndex]));
+        const windows = [...windowsRef.current.entries()]
+            .map(([id, windowRef]) => ({ id, ...windowRef.current.getLayout(), zIndex: zIndexById.get(id) ?? null }))
+            .sort((a, b) => (a.zIndex ?? 0) - (b.zIndex ?? 0));
+        return { version: WORKSPACE_LAYOUT_VERSION, windows };
+    }, []);
+
+    /**
+     * Moves windows into the rects, states and stacking order of a layout.
+     * Windows missing from the workspace are skipped, and windows missing from the layout are left untouched.
+     * @param {string|Object} layout - Layout from exportLayout, as JSON text or object
+     * @param {{animate?: boolean, duration?: number}} [options] - Animates windows into place instead of jumping
+     * @returns {{applied: string[], missing: string[]}} Ids that were applied and ids with no matching window
+     */
+    const importLayout = useCallback((layout, { animate = false, duration = 250 } = {}) => {
+        const data = parseLayout(layout);
+        const applied = [], missing = [];
+        data.windows.forEach(entry => {
+            const windowRef = windowsRef.current.get(entry.id);
+            if (!windowRef) {
+                missing.push(entry.id);
+                return;
+            }
+            windowRef.current.applyLayout(entry, { animate, duration });
+            applied.push(entry.id);
+        });
+
+        const stackingOrder = data.windows
+            .filter(entry => applied.includes(entry.id))
+            .sort((a, b) => (a.zIndex ?? 0) - (b.zIndex ?? 0))
+            .map(entry => entry.id);
+        if (windowManagerRef.current) windowManagerRef.current.setStackingOrder(stackingOrder);
+        return { applied, missing };
+    }, []);
+
+    /**
+     * Stores the current layout as a named preset
+     * @param {string} name - Preset name
+     * @returns {Object} The saved layout
+     */
+    const savePreset = useCallback((name) => {
+        const layout = exportLayout();
+        setSavedPresets(prev => ({ ...prev, [name]: layout }));
+        if (latestRef.current.onPresetSave) latestRef.current.onPresetSave(name, layout);
+        return layout;
+    }, [exportLayout]);
+
+    /**
+     * Applies a named preset
+     * @param {string} name - Preset name
+     * @param {{animate?: boolean, duration?: number}} [options] - Import options
+     * @returns {{applied: string[], missing: string[]}} Import result
+     * @throws {Error} When no preset has that name
+     */
+    const applyPreset = useCallback((name, options) => {
+        const preset = latestRef.current.presets[name];
+        if (!preset) throw new Error(`Unknown workspace preset: ${name}`);
+        return importLayout(preset, options);
+    }, [importLayout]);
+
+    /**
+     * Context value exposed to windows, useWorkspace consumers and the ref
+     * @constant {Object}
+     */
+    const value = useMemo(() => ({
+        exportLayout,
+        importLayout,
+        savePreset,
+        applyPreset,
+        presetNames: Object.keys(allPresets),
+        registerWindow,
+    }), [exportLayout, importLayout, savePreset, applyPreset, allPresets, registerWindow]);
+
+    useImperativeHandle(ref, () => value, [value]);
+
+    return (
+        <WorkspaceContext.Provider value={value}>
+            {children}
+        </WorkspaceContext.Provider>
+    );
+});
+
+WorkspaceLayoutController.displayName = 'WorkspaceLayoutController';
+
+/**
+ * Container that tracks every WindowComponent rendered inside it, manages their stacking order
+ * and can export, import and switch between serializable layouts.
+ *
+ * @component
+ * @example
+ * ```jsx
+ * const workspaceRef = useRef(null);
+ *
+ * <Workspace ref={workspaceRef} presets={{ debugging, review }} style={{ height: '100vh' }}>
+ *   <WindowComponent id="console">...</WindowComponent>
+ *   <WindowComponent id="diff">...</WindowComponent>
+ * </Workspace>
+ *
+ * workspaceRef.current.applyPreset('review', { animate: true });
+ * ```
+ *
+ * @param {Object} props - Component props
+ * @param {number} [props.baseZIndex=1] - z-index assigned to the bottom-most window
+ * @param {Object.<string, Object>} [props.presets] - Named layouts that applyPreset can switch between
+ * @param {Function} [props.onPresetSave] - Called with `(name, layout)` when savePreset is used, e.g. to persist presets
+ * @param {string} [props.className] - CSS classes of the container
+ * @param {Object} [props.style] - Inline styles of the container; it is positioned relatively so windows are placed against it
+ * @param {React.ReactNode} props.children - Windows and other content
+ * @param {React.Ref<Object>} ref - Receives the workspace API (exportLayout, importLayout, savePreset, applyPreset, presetNames)
+ * @returns {JSX.Element} The workspace container
+ */
+const Workspace = forwardRef(({ baseZIndex = 1, presets, onPresetSave, className = '', style, children }, ref) => (
+    <WindowManagerProvider baseZIndex={baseZIndex}>
+        <WorkspaceLayoutController ref={ref} presets={presets} onPresetSave={onPresetSave}>
+            <div className={className} style={{ position: 'relative', ...style }}>
+                {children}
+            </div>
+        </WorkspaceLayoutController>
+    </WindowManagerProvider>
+));
+
+Workspace.displayName = 'Workspace';
+
+export default Workspace;
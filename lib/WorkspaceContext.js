@@ -0,0 +1,32 @@
+import { createContext, useContext } from 'react';
+
+/**
+ * Context shared between a Workspace and the windows rendered inside it.
+ * Holds `null` when a window is rendered outside of a workspace.
+ * @type {React.Context<null|Object>}
+ */
+export const WorkspaceContext = createContext(null);
+
+/**
+ * Accesses the nearest workspace, e.g. from a toolbar rendered next to the windows.
+ * 
+ * @example
+ * ```jsx
+ * const { exportLayout, importLayout, applyPreset } = useWorkspace();
+ * ```
+ * 
+ * @returns {{
+ *   exportLayout: () => {version: number, windows: Array<Object>},
+ *   importLayout: (layout: string|Object, options?: {animate?: boolean, duration?: number}) => {applied: string[], missing: string[]},
+ *   savePreset: (name: string) => Object,
+ *   applyPreset: (name: string, options?: {animate?: boolean, duration?: number}) => {applied: string[], missing: string[]},
+ *   presetNames: string[],
+ *   registerWindow: (id: string, windowRef: React.MutableRefObject<Object>) => Function
+ * }} The workspace API
+ * @throws {Error} When called outside of a Workspace
+ */
+export function useWorkspace() {
+    const workspace = useContext(WorkspaceContext);
+    if (!workspace) throw new Error('useWorkspace must be used within a Workspace');
+    return workspace;
+}
@@ -0,0 +1,8 @@
+/** Value of a registered color: a palette name or CSS color, or an object of shades registered as 'name-shade' */
+export type ColorDefinition = string | Record<string | number, string> | null;
+
+/** Adds named colors accepted by every color prop; null removes a name */
+export declare function registerColors(colors: Record<string, ColorDefinition>): void;
+
+/** Converts a color prop ('blue-500/90', '#1e293b/50', 'var(--brand)/80', a registered name) to a CSS color */
+export declare function resolveColor(color?: string): string | undefined;
@@ -1,3 +1,11 @@
-export { WindowComponentProps } from './WindowComponent';
+export { WindowComponentProps, WindowPosition, WindowSize, WindowInteractionEvent, ResizeDirection, WindowState, WindowHandle, WindowRect, SnapZonesConfig, WindowBounds, BoundsRect, WindowLength, WindowAnchor, WindowPlacement, PlacementContext, PlacementRect, WindowAnimation } from './WindowComponent';
 export { default as WindowComponent } from './WindowComponent';
 export { default } from './WindowComponent';
+export { WindowManagerProviderProps, ManagedWindow, WindowManager, useWindowManager } from './WindowManagerProvider';
+export { default as WindowManagerProvider } from './WindowManagerProvider';
+export { PersistedWindowLayout, WindowStorageAdapter, localStorageAdapter, sessionStorageAdapter, createWebStorageAdapter, createIndexedDBAdapter } from './storageAdapters';
+export { WorkspaceProps, WorkspaceHandle, WorkspaceLayout, WorkspaceWindowLayout, WorkspaceImportOptions, WorkspaceImportResult, useWorkspace } from './Workspace';
+export { default as Workspace } from './Workspace';
+export { FlexiThemeProviderProps, FlexiTheme, ThemeTokens, ThemeVariant, ThemeMode, useFlexiTheme } from './FlexiThemeProvider';
+export { default as FlexiThemeProvider } from './FlexiThemeProvider';
+export { ColorDefinition, registerColors, resolveColor } from './colors';
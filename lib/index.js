@@ -1,2 +1,10 @@
 export { default as WindowComponent } from './WindowComponent.jsx';
 export { default } from './WindowComponent.jsx';
+export { default as WindowManagerProvider } from './WindowManagerProvider.jsx';
+export { useWindowManager } from './WindowManagerContext.js';
+export { localStorageAdapter, sessionStorageAdapter, createWebStorageAdapter, createIndexedDBAdapter } from './storageAdapters.js';
+export { default as Workspace } from './Workspace.jsx';
+export { useWorkspace } from './WorkspaceContext.js';
+export { default as FlexiThemeProvider } from './FlexiThemeProvider.jsx';
+export { useFlexiTheme } from './FlexiThemeContext.js';
+export { registerColors, resolveColor } from './colors.js';
@@ -0,0 +1,24 @@
+/** Layout saved by the `persistKey` prop */
+export interface PersistedWindowLayout {
+  /** Schema version, taken from the persistVersion prop */
+  version: number;
+  position: { x: number | string; y: number | string };
+  size: { w: number | string; h: number | string };
+  windowState: 'normal' | 'minimized' | 'maximized';
+}
+
+/** Storage backend for persisted layouts; any method may return a promise */
+export interface WindowStorageAdapter {
+  load(key: string): any | null | Promise<any | null>;
+  save(key: string, data: PersistedWindowLayout): void | Promise<void>;
+  remove?(key: string): void | Promise<void>;
+}
+
+/** Creates a synchronous adapter that stores layouts as JSON in a Web Storage object */
+export function createWebStorageAdapter(getStorage: () => Storage | null): WindowStorageAdapter;
+
+/** Creates an asynchronous adapter that stores layouts in an IndexedDB object store */
+export function createIndexedDBAdapter(options?: { databaseName?: string; storeName?: string }): WindowStorageAdapter;
+
+export const localStorageAdapter: WindowStorageAdapter;
+export const sessionStorageAdapter: WindowStorageAdapter;
@@ -0,0 +1,129 @@
+/**
+ * Storage adapters used by the `persistKey` prop to save and restore window layouts.
+ * An adapter stores plain objects and may be synchronous or return promises:
+ * `{ load(key) => data|null, save(key, data), remove?(key) }`.
+ * Synchronous adapters are restored before the first paint; asynchronous ones keep the window hidden until they resolve.
+ */
+
+/**
+ * Creates an adapter backed by a Web Storage object, serializing layouts as JSON
+ * @param {() => Storage|null} getStorage - Returns the storage, or null where it is unavailable
+ * @returns {{load: Function, save: Function, remove: Function}} Synchronous storage adapter
+ */
+export function createWebStorageAdapter(getStorage) {
+    // Storage access throws in some sandboxed iframes and when quota is exceeded
+    const withStorage = (callback, fallback) => {
+        try {
+            const storage = getStorage();
+            return storage ? callback(storage) : fallback;
+        } catch {
+            return fallback;
+        }
+    };
+    return {
+        load: (key) => withStorage(storage => {
+            const raw = storage.getItem(key);
+            return raw ? JSON.parse(raw) : null;
+        }, null),
+        save: (key, data) => withStorage(storage => storage.setItem(key, JSON.stringify(data))),
+        remove: (key) => withStorage(storage => storage.removeItem(key)),
+    };
+}
+
+/**
+ * Adapter storing layouts in localStorage
+ * @constant {{load: Function, save: Function, remove: Function}}
+ */
+export const localStorageAdapter = createWebStorageAdapter(() => (typeof window !== 'undefined' ? window.localStorage : null));
+
+/**
+ * Adapter storing layouts in sessionStorage
+ * @constant {{load: Function, save: Function, remove: Function}}
+ */
+export const sessionStorageAdapter = createWebStorageAdapter(() => (typeof window !== 'undefined' ? window.sessionStorage : null));
+
+/**
+ * Creates an asynchronous adapter storing layouts in an IndexedDB object store
+ * @param {Object} [options] - Database options
+ * @param {string} [options.databaseName='react-flexi-window'] - Database name
+ * @param {string} [options.storeName='layouts'] - Object store name
+ * @returns {{load: Function, save: Function, remove: Function}} Asynchronous storage adapter
+ */
+export function createIndexedDBAdapter({ databaseName = 'react-flexi-window', storeName = 'layouts' } = {}) {
+    let databasePromise = null;
+
+    const requestDatabase = (version) => new Promise((resolve, reject) => {
+        const request = version ? indexedDB.open(databaseName, version) : indexedDB.open(databaseName);
+        let blocked = false;
+        request.onupgradeneeded = () => {
+            if (!request.result.objectStoreNames.contains(storeName)) request.result.createObjectStore(storeName);
+        };
+        request.onsuccess = () => {
+            // A connection that opens after the request was reported blocked is no longer wanted
+            if (blocked) request.result.close();
+            else resolve(request.result);
+        };
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => {
+            blocked = true;
+            reject(new Error(`IndexedDB database "${databaseName}" is blocked by another open connection`));
+        };
+    });
+
+    const openDatabase = () => {
+        if (!databasePromise) {
+            databasePromise = requestDatabase().then(database => {
+                if (database.objectStoreNames.contains(storeName)) return database;
+                // The database exists without this adapter's store, e.g. created by an adapter with another storeName
+                const nextVersion = database.version + 1;
+                database.close();
+                return requestDatabase(nextVersion);
+            }).then(database => {
+                // Step aside when another adapter upgrades the database; the next request opens it again
+                database.onversionchange = () => {
+                    database.close();
+                    databasePromise = null;
+                };
+                return database;
+            }).catch(error => {
+                // Forget the failure so the next call tries to open the database again
+                databasePromise = null;
+                throw error;
+            });
+        }
+        return databasePromise;
+    };
+
+    const runRequest = (mode, createRequest) => openDatabase().then(database => new Promise((resolve, reject) => {
+        const request = createRequest(database.transaction(storeName, mode).objectStore(storeName));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    }));
+
+    return {
+        load: (key) => runRequest('readonly', store => store.get(key)).then(data => data ?? null),
+        save: (key, data) => runRequest('readwrite', store => store.put(data, key)),
+        remove: (key) => runRequest('readwrite', store => store.delete(key)),
+    };
+}
+
+/**
+ * Shared IndexedDB adapter, created on first use
+ * @type {null|{load: Function, save: Function, remove: Function}}
+ */
+let defaultIndexedDBAdapter = null;
+
+/**
+ * Resolves the `persistStorage` prop to an adapter
+ * @param {'local'|'session'|'indexeddb'|Object} storage - Built-in storage name or custom adapter
+ * @returns {{load: Function, save: Function, remove?: Function}} Storage adapter
+ */
+export function resolveStorageAdapter(storage) {
+    if (storage === 'session') return sessionStorageAdapter;
+    if (storage === 'indexeddb') {
+        if (!defaultIndexedDBAdapter) defaultIndexedDBAdapter = createIndexedDBAdapter();
+        return defaultIndexedDBAdapter;
+    }
+    if (storage && typeof storage === 'object') return storage;
+    return localStorageAdapter;
+}
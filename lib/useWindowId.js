@@ -0,0 +1,25 @@
+import { useRef } from 'react';
+
+/**
+ * Module-level counter used to generate unique window identifiers
+ * @type {number}
+ */
+let windowIdCounter = 0;
+
+/**
+ * Returns a stable identifier for a window instance.
+ * Uses the provided id when given, otherwise generates one on first render and keeps it for the component's lifetime.
+ * 
+ * @param {string} [id] - Explicit window identifier
+ * @returns {string} Stable window identifier
+ */
+function useWindowId(id) {
+    const generatedIdRef = useRef(null);
+    if (generatedIdRef.current === null) {
+        windowIdCounter += 1;
+        generatedIdRef.current = `flexi-window-${windowIdCounter}`;
+    }
+    return id != null ? String(id) : generatedIdRef.current;
+}
+
+export default useWindowId;
@@ -0,0 +1,99 @@
+/**
+ * Module-level registry of every mounted window element, shared by all WindowComponent instances
+ * so that windows can measure their siblings (magnetic snapping, alignment guides, initial placement).
+ * @type {Map<HTMLElement, {id: string, group: string|undefined}>}
+ */
+const registeredWindows = new Map();
+
+/**
+ * Viewport coordinates of the last pointer press, used to open windows near the pointer
+ * @type {null|{x: number, y: number}}
+ */
+let lastPointerPosition = null;
+
+/**
+ * Number of mounted windows that need pointer presses tracked
+ * @type {number}
+ */
+let pointerTrackerCount = 0;
+
+/**
+ * Records the position of a pointer press
+ * @param {PointerEvent} e - Pointer down event
+ */
+const handlePointerDown = (e) => {
+    lastPointerPosition = { x: e.clientX, y: e.clientY };
+};
+
+/**
+ * Starts tracking pointer presses for windows placed near the pointer.
+ * The listener is added with the first tracker and removed with the last one.
+ * @returns {Function} Stops tracking for this caller
+ */
+export function trackPointerPresses() {
+    if (typeof window === 'undefined') return () => {};
+    pointerTrackerCount += 1;
+    // Capture phase so presses that open a window are seen before React mounts it
+    if (pointerTrackerCount === 1) window.addEventListener('pointerdown', handlePointerDown, { capture: true, passive: true });
+    let released = false;
+    return () => {
+        if (released) return;
+        released = true;
+        pointerTrackerCount -= 1;
+        if (pointerTrackerCount === 0) {
+            window.removeEventListener('pointerdown', handlePointerDown, { capture: true });
+            lastPointerPosition = null;
+        }
+    };
+}
+
+/**
+ * Adds a window element to the registry
+ * @param {HTMLElement} element - Root element of the window
+ * @param {{id: string, group: string|undefined}} entry - Window identifier and snap group
+ * @returns {Function} Removes the element from the registry
+ */
+export function registerWindowElement(element, entry) {
+    registeredWindows.set(element, entry);
+    return () => {
+        if (registeredWindows.get(element) === entry) registeredWindows.delete(element);
+    };
+}
+
+/**
+ * Lists every rendered window, in the order they were mounted, measured in viewport coordinates
+ * @param {HTMLElement} [exclude] - Element to leave out, usually the calling window
+ * @returns {Array<{id: string, group: string|undefined, element: HTMLElement, rect: {x: number, y: number, width: number, height: number}}>} Visible windows
+ */
+export function getMountedWindows(exclude) {
+    const result = [];
+    registeredWindows.forEach((entry, element) => {
+        // Hidden windows (minimized without a title bar, display: none) have no offsetParent.
+        // Fixed windows never have one, so they are checked for rendered boxes instead.
+        const isHidden = element.style.position === 'fixed' ? element.getClientRects().length === 0 : !element.offsetParent;
+        if (element === exclude || isHidden) return;
+        const { left, top, width, height } = element.getBoundingClientRect();
+        result.push({ id: entry.id, group: entry.group, element, rect: { x: left, y: top, width, height } });
+    });
+    return result;
+}
+
+/**
+ * Lists the rendered windows belonging to a snap group, measured in viewport coordinates
+ * @param {string} group - Snap group name
+ * @param {HTMLElement} [exclude] - Element to leave out, usually the calling window
+ * @returns {Array<{id: string, group: string, element: HTMLElement, rect: {x: number, y: number, width: number, height: number}}>} Visible windows of the group
+ */
+export function getWindowsInGroup(group, exclude) {
+    return getMountedWindows(exclude).filter(entry => entry.group === group);
+}
+
+/**
+ * Returns where the pointer was last pressed while tracking and forgets it, so each press places at most one window
+ * @returns {null|{x: number, y: number}} Viewport coordinates, or null when no press is waiting
+ */
+export function consumeLastPointerPosition() {
+    const position = lastPointerPosition;
+    lastPointerPosition = null;
+    return position;
+}